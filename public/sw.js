@@ -0,0 +1,60 @@
+// Service worker for the app shell, so the tracker opens without a connection.
+// Firestore keeps its own offline cache, so only the page, its built assets and the
+// Tailwind/font CDNs are cached here. Bump CACHE_NAME to drop old copies.
+const CACHE_NAME = 'ave-shell-v1';
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_URLS)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response.ok || response.type === 'opaque') {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages: network first so deploys show up straight away, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy is always good
+  if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response)))
+    );
+    return;
+  }
+
+  // CDN styles and fonts: serve the cached copy and refresh it in the background
+  if (CDN_HOSTS.includes(url.hostname)) {
+    const refreshed = fetch(request).then(response => putInCache(request, response));
+    event.respondWith(caches.match(request).then(cached => cached || refreshed));
+    event.waitUntil(refreshed.catch(() => {}));
+  }
+
+  // Anything else (Firebase, the Vite dev server) goes straight to the network
+});
@@ -1,22 +1,32 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
-    signInAnonymously, 
     onAuthStateChanged, 
-    signInWithCustomToken 
+    signInWithCustomToken,
+    signInWithEmailAndPassword,
+    sendPasswordResetEmail,
+    signOut,
+    connectAuthEmulator
 } from 'firebase/auth';
 import { 
-    getFirestore, 
+    initializeFirestore, 
+    persistentLocalCache, 
+    persistentMultipleTabManager, 
+    waitForPendingWrites, 
     collection, 
     doc, 
-    addDoc, 
     setDoc, 
-    deleteDoc, 
     onSnapshot, 
     query, 
     where,
-    setLogLevel
+    orderBy,
+    limit,
+    writeBatch,
+    runTransaction,
+    serverTimestamp,
+    setLogLevel,
+    connectFirestoreEmulator
 } from 'firebase/firestore';
 import { 
     BarChart, 
@@ -28,7 +38,10 @@ import {
     CartesianGrid, 
     Tooltip, 
     Legend, 
-    ResponsiveContainer 
+    ResponsiveContainer,
+    Cell,
+    ComposedChart,
+    ReferenceLine
 } from 'recharts';
 import { 
     LayoutDashboard, 
@@ -43,7 +56,38 @@ import {
     Bell,
     FileText,
     Briefcase,
-    ChevronDown
+    ChevronDown,
+    Settings,
+    Calendar,
+    UserCog,
+    LogOut,
+    Lock,
+    History,
+    Archive,
+    RotateCcw,
+    FileDown,
+    Upload,
+    Download,
+    Search,
+    ArrowUp,
+    ArrowDown,
+    ArrowUpDown,
+    ChevronLeft,
+    ChevronRight,
+    Receipt,
+    Coins,
+    Cloud,
+    CloudOff,
+    RefreshCw,
+    CheckCircle,
+    AlertCircle,
+    Loader2,
+    Send,
+    ClipboardCheck,
+    XCircle,
+    Unlock,
+    TrendingUp,
+    ExternalLink
 } from 'lucide-react';
 
 // --- Firebase Configuration ---
@@ -54,53 +98,966 @@ const firebaseConfig = typeof import.meta.env.VITE_FIREBASE_CONFIG !== 'undefine
 
 const appId = import.meta.env.VITE_APP_ID || 'default-ave-tracker';
 const initialAuthToken = import.meta.env.VITE_AUTH_TOKEN; // Will be undefined if not set
+const useEmulators = import.meta.env.VITE_USE_EMULATORS === 'true'; // Local Firebase emulator suite
+
+// Plain-English reasons for failed Firestore operations, shown in toasts and form errors
+const FIRESTORE_ERROR_MESSAGES = {
+    'permission-denied': "You don't have permission to make this change.",
+    'unauthenticated': 'Your session has expired. Please sign in again.',
+    'unavailable': "Couldn't reach the server. Check your connection and try again.",
+    'deadline-exceeded': 'The server took too long to respond. Please try again.',
+    'resource-exhausted': 'Too many changes at once. Wait a moment and try again.',
+    'aborted': 'Someone else changed this data at the same time. Please try again.',
+    'failed-precondition': 'Someone else changed this data at the same time. Please try again.',
+};
+
+const getErrorMessage = (error) => (
+    FIRESTORE_ERROR_MESSAGES[error?.code] || error?.message || 'Something went wrong. Please try again.'
+);
+
+// --- Roles & Permissions ---
+// Keep in sync with the role checks in firestore.rules
+const ROLES = [
+    { value: 'viewer', label: 'Viewer' },
+    { value: 'sales', label: 'Sales' },
+    { value: 'finance', label: 'Finance' },
+    { value: 'admin', label: 'Admin' },
+];
+
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    sales: ['income:write', 'pipeline:write'],
+    finance: ['income:write', 'income:validate', 'income:delete', 'payments:record', 'pipeline:write', 'budgets:write', 'rates:write'],
+    admin: ['income:write', 'income:validate', 'income:delete', 'payments:record', 'pipeline:write', 'budgets:write', 'budgets:lock', 'rates:write', 'partners:write', 'users:manage', 'settings:write', 'trash:manage'],
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// --- Views ---
+// The sidebar entries, in order. Also the views a ?view= link may open.
+const VIEWS = [
+    { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
+    { id: 'income', label: 'Income Manager', icon: DollarSign },
+    { id: 'pipeline', label: 'Pipeline', icon: TrendingUp },
+    { id: 'approvals', label: 'My Approvals', icon: ClipboardCheck, permission: 'income:validate' },
+    { id: 'receivables', label: 'Receivables', icon: Receipt },
+    { id: 'budgets', label: 'Budget Manager', icon: Target },
+    { id: 'partners', label: 'Partners', icon: Users },
+    { id: 'users', label: 'Users', icon: UserCog, permission: 'users:manage' },
+    { id: 'trash', label: 'Trash', icon: Archive, permission: 'trash:manage' },
+    { id: 'settings', label: 'Settings', icon: Settings },
+];
+
+const canOpenView = (viewId, can) => VIEWS.some(v => v.id === viewId && (!v.permission || can(v.permission)));
+
+// --- Notifications ---
+// Built from the audit log: other people's changes to income, filtered by each user's preferences.
+// Invoice numbering ('number') isn't one of them.
+const NOTIFICATION_EVENTS = [
+    { action: 'create', label: 'Income added', verb: 'added' },
+    { action: 'update', label: 'Income modified', verb: 'updated' },
+    { action: 'submit', label: 'Income submitted for approval', verb: 'submitted' },
+    { action: 'approve', label: 'Income approved', verb: 'approved' },
+    { action: 'reject', label: 'Income rejected', verb: 'rejected' },
+    { action: 'validate', label: 'Income posted', verb: 'posted' },
+    { action: 'reopen', label: 'Income reopened', verb: 'reopened' },
+    { action: 'delete', label: 'Income deleted', verb: 'deleted' },
+];
+const NOTIFICATION_HISTORY_LIMIT = 100; // Most recent income audit entries scanned for notifications
+
+// --- Approval Workflow ---
+// draft -> submitted -> approved (or rejected, back to the author) -> posted. Nobody approves an
+// entry they submitted. Entries saved as 'pending' before the workflow existed count as submitted.
+const INCOME_STATUSES = [
+    { value: 'draft', label: 'Draft' },
+    { value: 'submitted', label: 'Submitted' },
+    { value: 'approved', label: 'Approved' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'posted', label: 'Posted' },
+];
+
+const INCOME_STATUS_STYLES = {
+    draft: 'bg-gray-100 text-gray-800',
+    submitted: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-blue-100 text-blue-800',
+    rejected: 'bg-red-100 text-red-800',
+    posted: 'bg-green-100 text-green-800',
+};
+
+const getIncomeStatus = (item) => (item.status === 'pending' ? 'submitted' : item.status || 'draft');
+
+// Authors edit their drafts and rejected entries; approvers can also correct entries in review.
+// Posted entries are locked until finance reopens them.
+const canEditIncome = (item, can) => {
+    const status = getIncomeStatus(item);
+    if (status === 'posted') return false;
+    if (status === 'draft' || status === 'rejected') return can('income:write');
+    return can('income:validate');
+};
+
+// --- Revenue Recognition ---
+// Entries without a method (created before recognition existed) are point-in-time
+const RECOGNITION_METHODS = [
+    { value: 'pointInTime', label: 'Point in time (start date)' },
+    { value: 'straightLine', label: 'Straight-line over agreement' },
+    { value: 'milestones', label: 'Milestone schedule' },
+];
+
+const addMonthsToKey = (monthKey, count) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1 + count, 1)).toISOString().substring(0, 7);
+};
+
+// Splits an income entry's value across months: returns { "YYYY-MM": amount }.
+// Straight-line spreads evenly over every month from the start to the end date (inclusive).
+const getRecognisedAmounts = (item) => {
+    const value = parseFloat(item.value) || 0;
+    const startMonth = item.agreementStartDate?.substring(0, 7);
+    if (!startMonth) return {};
+
+    if (item.recognitionMethod === 'milestones' && item.recognitionSchedule?.length) {
+        return item.recognitionSchedule.reduce((acc, milestone) => {
+            const month = (milestone.date || '').substring(0, 7);
+            if (month) acc[month] = (acc[month] || 0) + (parseFloat(milestone.amount) || 0);
+            return acc;
+        }, {});
+    }
+
+    const endMonth = item.agreementEndDate?.substring(0, 7);
+    if (item.recognitionMethod === 'straightLine' && endMonth && endMonth >= startMonth) {
+        const monthKeys = [];
+        for (let month = startMonth; month <= endMonth; month = addMonthsToKey(month, 1)) {
+            monthKeys.push(month);
+        }
+        return Object.fromEntries(monthKeys.map(month => [month, value / monthKeys.length]));
+    }
+
+    return { [startMonth]: value };
+};
+
+// --- Invoice Numbering ---
+// Format tokens: {FY} financial year, {YYYY} calendar year, {MM} month, {SEQ:n} sequence padded to n digits
+const DEFAULT_INVOICE_FORMAT = 'AVE-{FY}-{SEQ:4}';
+const INVOICE_SEQUENCE_TOKEN = /\{SEQ(?::(\d+))?\}/g;
+
+const formatInvoiceNumber = (format, { sequence, financialYear, date = new Date() }) => (
+    (format || DEFAULT_INVOICE_FORMAT)
+        .replace(/\{FY\}/g, String(financialYear))
+        .replace(/\{YYYY\}/g, String(date.getFullYear()))
+        .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+        .replace(INVOICE_SEQUENCE_TOKEN, (_, width) => String(sequence).padStart(parseInt(width, 10) || 1, '0'))
+);
+
+// The sequence in an invoice number written in `format` for `financialYear`, or null if it isn't
+const parseInvoiceSequence = (format, invoiceNumber, financialYear) => {
+    const pattern = (format || DEFAULT_INVOICE_FORMAT)
+        .split(/(\{FY\}|\{YYYY\}|\{MM\}|\{SEQ(?::\d+)?\})/)
+        .map(part => {
+            if (part === '{FY}') return String(financialYear);
+            if (part === '{YYYY}') return '\\d{4}';
+            if (part === '{MM}') return '\\d{2}';
+            if (part.startsWith('{SEQ')) return '(\\d+)';
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    const match = new RegExp(`^${pattern}$`).exec(invoiceNumber);
+    return match?.[1] ? parseInt(match[1], 10) : null;
+};
+
+// --- Invoice PDF ---
+const COMPANY_NAME = 'Added Value Enterprises Ltd.';
+const DEFAULT_VAT_RATE = 20; // UK standard rate, %
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+// Builds a branded A4 invoice with jsPDF (loaded on demand) and downloads it in the browser
+const generateInvoicePdf = async ({ income, partner, lineItems, vatRate, paymentTermsDays, issueDate }) => {
+    const { jsPDF } = await import('jspdf');
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+    const money = (amount) => formatCurrency(amount, getIncomeCurrency(income));
+    const formatDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const dueDate = new Date(issueDate);
+    dueDate.setDate(dueDate.getDate() + paymentTermsDays);
+
+    // Brand header
+    pdf.setFillColor(37, 99, 235); // Tailwind blue-600, as used across the app
+    pdf.rect(0, 0, 210, 32, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(16);
+    pdf.text(COMPANY_NAME, 15, 19);
+    pdf.setFontSize(24);
+    pdf.text('INVOICE', 195, 20, { align: 'right' });
+
+    // Bill to
+    pdf.setTextColor(31, 41, 55);
+    pdf.setFontSize(10);
+    pdf.text('Bill To', 15, 46);
+    pdf.setFont('helvetica', 'normal');
+    const contact = getBillingContact(partner);
+    const billTo = [
+        partner?.name,
+        contact?.name,
+        ...(partner?.billingAddress || '').split('\n').map(line => line.trim()),
+        contact?.email,
+        contact?.phone,
+        partner?.vatNumber && `VAT No. ${partner.vatNumber}`,
+    ].filter(Boolean);
+    billTo.forEach((line, i) => pdf.text(line, 15, 52 + i * 5));
+
+    // Invoice details
+    const details = [
+        ['Invoice #', income.invoiceNumber || ''],
+        ['Invoice Date', formatDate(issueDate)],
+        ['Due Date', formatDate(dueDate)],
+        ['Payment Terms', `${paymentTermsDays} days`],
+    ];
+    details.forEach(([label, value], i) => {
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(label, 130, 46 + i * 6);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(value, 195, 46 + i * 6, { align: 'right' });
+    });
+
+    // Line items, below the bill-to block however long the address is
+    let y = Math.max(82, 62 + billTo.length * 5);
+    const drawTableHeader = () => {
+        pdf.setFillColor(243, 244, 246);
+        pdf.rect(15, y - 5, 180, 8, 'F');
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('Description', 17, y);
+        pdf.text('Qty', 130, y, { align: 'right' });
+        pdf.text('Unit Price', 160, y, { align: 'right' });
+        pdf.text('Amount', 193, y, { align: 'right' });
+        pdf.setFont('helvetica', 'normal');
+        y += 9;
+    };
+    drawTableHeader();
+    lineItems.forEach(item => {
+        const description = pdf.splitTextToSize(item.description || '', 100);
+        if (y + description.length * 5 > 260) {
+            pdf.addPage();
+            y = 20;
+            drawTableHeader();
+        }
+        pdf.text(description, 17, y);
+        pdf.text(String(item.quantity), 130, y, { align: 'right' });
+        pdf.text(money(item.unitPrice), 160, y, { align: 'right' });
+        pdf.text(money(item.quantity * item.unitPrice), 193, y, { align: 'right' });
+        y += description.length * 5 + 3;
+    });
+
+    // Totals
+    const subtotal = lineItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+    const vat = subtotal * vatRate / 100;
+    if (y > 240) {
+        pdf.addPage();
+        y = 20;
+    }
+    pdf.setDrawColor(209, 213, 219);
+    pdf.line(115, y, 195, y);
+    y += 7;
+    [['Subtotal', money(subtotal)], [`VAT (${vatRate}%)`, money(vat)]].forEach(([label, value]) => {
+        pdf.text(label, 130, y);
+        pdf.text(value, 193, y, { align: 'right' });
+        y += 6;
+    });
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text('Total Due', 130, y + 2);
+    pdf.text(money(subtotal + vat), 193, y + 2, { align: 'right' });
+
+    // Footer
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(
+        `Payment is due within ${paymentTermsDays} days of the invoice date. Please quote ${income.invoiceNumber || 'the invoice number'} with your payment.`,
+        105, 282, { align: 'center' }
+    );
+    pdf.text(COMPANY_NAME, 105, 287, { align: 'center' });
+
+    pdf.save(`${income.invoiceNumber || 'invoice'}.pdf`);
+};
+
+// --- Import Helpers ---
+// Fields the import wizard can map spreadsheet columns onto. Aliases are matched against
+// normalised header names to pre-fill the column mapping.
+const IMPORT_FIELDS = {
+    income: [
+        { key: 'partner', label: 'Partner Name', required: true, aliases: ['partner', 'partnername', 'supplier', 'customer', 'company'] },
+        { key: 'incomeType', label: 'Income Type', required: true, aliases: ['incometype', 'type'] },
+        { key: 'value', label: 'Value', required: true, aliases: ['value', 'amount', 'netvalue'] },
+        { key: 'currency', label: 'Currency', aliases: ['currency', 'ccy'] },
+        { key: 'agreementStartDate', label: 'Agreement Start Date', required: true, aliases: ['agreementstartdate', 'startdate', 'start'] },
+        { key: 'agreementEndDate', label: 'Agreement End Date', aliases: ['agreementenddate', 'enddate', 'end'] },
+        { key: 'invoiceStatus', label: 'Invoice Status', aliases: ['invoicestatus', 'status'] },
+        { key: 'invoiceNumber', label: 'Existing Invoice #', aliases: ['invoicenumber', 'invoice', 'invoiceno'] },
+    ],
+    budgets: [
+        { key: 'month', label: 'Month', required: true, aliases: ['month', 'period'] },
+        { key: 'type', label: 'Budget Type', required: true, aliases: ['type', 'budgettype', 'incometype'] },
+        { key: 'value', label: 'Value', required: true, aliases: ['value', 'amount', 'budget'] },
+    ],
+    exchangeRates: [
+        { key: 'date', label: 'Date', required: true, aliases: ['date', 'effectivedate', 'ratedate'] },
+        { key: 'currency', label: 'Currency', required: true, aliases: ['currency', 'ccy', 'fromcurrency'] },
+        { key: 'rate', label: 'Rate', required: true, aliases: ['rate', 'exchangerate', 'fxrate'] },
+        { key: 'baseCurrency', label: 'Base Currency', aliases: ['basecurrency', 'tocurrency'] },
+    ],
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Reads the first sheet of a CSV or Excel file into an array of rows (arrays of cell values)
+const readSpreadsheet = async (file) => {
+    const XLSX = await import('xlsx');
+    const isCsv = /\.csv$/i.test(file.name);
+    // CSV values stay as text so UK dates (01/10/2025) aren't read as US dates
+    const workbook = isCsv
+        ? XLSX.read(await file.text(), { type: 'string', raw: true })
+        : XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true });
+};
+
+const parseImportNumber = (raw) => {
+    if (typeof raw === 'number') return raw;
+    const cleaned = String(raw ?? '').replace(/[£$€,\s]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+};
+
+const buildDateKey = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().substring(0, 10);
+};
+
+// Accepts spreadsheet dates, ISO (2025-10-01) and UK style (01/10/2025) text; returns "YYYY-MM-DD" or null
+const parseImportDate = (raw) => {
+    if (raw instanceof Date) {
+        return isNaN(raw) ? null : buildDateKey(raw.getFullYear(), raw.getMonth() + 1, raw.getDate());
+    }
+    const text = String(raw ?? '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return buildDateKey(+match[1], +match[2], +match[3]);
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+        return buildDateKey(year, +match[2], +match[1]);
+    }
+    return null;
+};
+
+// Accepts "2025-10", "10/2025", "Oct 2025" / "October 2025" and full dates; returns "YYYY-MM" or null
+const parseImportMonth = (raw) => {
+    if (raw instanceof Date) return parseImportDate(raw)?.substring(0, 7) || null;
+    const text = String(raw ?? '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})$/);
+    if (match) return buildDateKey(+match[1], +match[2], 1)?.substring(0, 7) || null;
+    match = text.match(/^(\d{1,2})[/.-](\d{4})$/);
+    if (match) return buildDateKey(+match[2], +match[1], 1)?.substring(0, 7) || null;
+    match = text.match(/^([a-z]{3,})\.?[\s-]+(\d{4})$/i);
+    if (match) {
+        const month = MONTH_OPTIONS.find(m => m.label.toLowerCase().startsWith(match[1].toLowerCase().substring(0, 3)));
+        return month ? buildDateKey(+match[2], month.value, 1).substring(0, 7) : null;
+    }
+    return parseImportDate(text)?.substring(0, 7) || null;
+};
+
+// --- Export Helpers ---
+// Downloads sheets of plain row objects as an .xlsx workbook, or the first sheet as a .csv.
+// Columns listed in `amountColumns` are rounded to pennies and shown with thousands separators.
+const exportSheets = async (fileName, sheets, format) => {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(({ name, rows, amountColumns = [] }) => {
+        const headers = Object.keys(rows[0] || {});
+        const roundedRows = rows.map(row => {
+            const copy = { ...row };
+            amountColumns.forEach(column => {
+                if (typeof copy[column] === 'number') copy[column] = Math.round(copy[column] * 100) / 100;
+            });
+            return copy;
+        });
+        const sheet = XLSX.utils.json_to_sheet(roundedRows, { header: headers });
+        const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+        amountColumns.forEach(column => {
+            const c = headers.indexOf(column);
+            if (c < 0) return;
+            for (let r = 1; r <= range.e.r; r++) {
+                const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+                if (cell && cell.t === 'n') cell.z = '#,##0.00';
+            }
+        });
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+    });
+    XLSX.writeFile(workbook, `${fileName}.${format}`, { bookType: format });
+};
+
+// Today's local date as "YYYY-MM-DD"
+const todayKey = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// --- URL State ---
+// Views can keep shareable state (e.g. table filters) in the query string
+const readUrlParams = () => new URLSearchParams(window.location.search);
+
+const writeUrlParams = (params) => {
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+// --- Audit Helpers ---
+// Field-level before/after diff between two versions of a record (ignores the doc id)
+const diffFields = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    fields.delete('id');
+    return [...fields]
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .sort()
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+// Audit entries are stamped by the server. Older entries hold an ISO string, and our own unsynced
+// entries are read with an estimate; either way this returns an ISO string.
+const getAuditTimestamp = (entry) => (
+    entry.timestamp?.toDate ? entry.timestamp.toDate().toISOString() : entry.timestamp || ''
+);
+
+// The rules check each audit entry against the record it describes (two document reads), and may read
+// at most 20 documents per write, so bulk changes are committed this many records at a time
+const AUDITED_RECORDS_PER_COMMIT = 7;
+
+// --- Income Types & Statuses ---
+// Income types are managed in Settings (the incomeTypes collection). Each is earned through either
+// suppliers or customers. Entries and budgets refer to a type by name, so names can't change once saved
+// (firestore.rules enforces it). These two apply until an admin saves the first type.
+const DEFAULT_INCOME_TYPES = [
+    { id: 'procurementIncome', name: 'Procurement Income', colour: '#3b82f6', partnerType: 'supplier', active: true, order: 0 },
+    { id: 'consultancy', name: 'Consultancy', colour: '#10b981', partnerType: 'customer', active: true, order: 1 },
+];
+
+// Names that differ only in case or spacing would be confusing side by side, so they count as the same
+const getIncomeTypeNameKey = (name) => name.toLowerCase().replace(/\s+/g, '');
+
+// --- Budget Versions ---
+// Budgets are kept per version (the Original budget, reforecasts, scenarios). Rows saved before versions
+// existed have no versionId and belong to the Original version, which always exists.
+const ORIGINAL_BUDGET_VERSION = { id: 'original', name: 'Original' };
+
+const BUDGET_VERSION_COLOURS = ['#8884d8', '#f59e0b', '#ef4444', '#14b8a6', '#a855f7', '#64748b'];
+
+const getBudgetVersionId = (budget) => budget.versionId || ORIGINAL_BUDGET_VERSION.id;
+
+// One row per version, month and type. New rows are keyed by the income type's document ID, since
+// names can hold characters a document ID can't. Rows that already exist keep their ID: older ones
+// are keyed by the name without spaces. The Original version keeps the pre-versioning "{month}-{type}" IDs.
+const getBudgetDocId = (versionId, month, type, incomeTypes, budgetData) => {
+    const existing = budgetData.find(b => getBudgetVersionId(b) === versionId && b.month === month && b.type === type);
+    if (existing) return existing.id;
+    const typeKey = incomeTypes.find(t => t.name === type)?.id || encodeURIComponent(type);
+    const id = `${month}-${typeKey}`;
+    return versionId === ORIGINAL_BUDGET_VERSION.id ? id : `${versionId}-${id}`;
+};
+
+// How the budget grid spreads an annual total over the twelve months
+const BUDGET_SPREAD_PROFILES = [
+    { value: 'even', label: 'Evenly' },
+    { value: 'priorBudget', label: "Like last year's budget" },
+    { value: 'priorActuals', label: "Like last year's actual income" },
+];
+
+// Splits a total across months in proportion to weights (evenly if they are all zero), to the penny,
+// putting any rounding difference in the last month
+const spreadAmount = (total, weights) => {
+    const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+    const amounts = weights.map(w => Math.round(total * (weightTotal > 0 ? w / weightTotal : 1 / weights.length) * 100) / 100);
+    const allocated = amounts.slice(0, -1).reduce((sum, a) => sum + a, 0);
+    amounts[amounts.length - 1] = Math.round((total - allocated) * 100) / 100;
+    return amounts;
+};
+
+const PARTNER_TYPES = [
+    { value: 'customer', label: 'Customer' },
+    { value: 'supplier', label: 'Supplier' },
+];
+
+// --- Sales Pipeline ---
+// Opportunities are deals that aren't signed yet. Each stage suggests a win probability, which the
+// owner can override. Winning one means converting it to an income entry.
+const OPPORTUNITY_STAGES = [
+    { value: 'lead', label: 'Lead', probability: 10 },
+    { value: 'qualified', label: 'Qualified', probability: 25 },
+    { value: 'proposal', label: 'Proposal', probability: 50 },
+    { value: 'negotiation', label: 'Negotiation', probability: 75 },
+    { value: 'won', label: 'Won', probability: 100 },
+    { value: 'lost', label: 'Lost', probability: 0 },
+];
+const OPEN_OPPORTUNITY_STAGES = ['lead', 'qualified', 'proposal', 'negotiation'];
+
+const OPPORTUNITY_STAGE_STYLES = {
+    lead: 'bg-gray-100 text-gray-800',
+    qualified: 'bg-blue-100 text-blue-800',
+    proposal: 'bg-indigo-100 text-indigo-800',
+    negotiation: 'bg-yellow-100 text-yellow-800',
+    won: 'bg-green-100 text-green-800',
+    lost: 'bg-red-100 text-red-800',
+};
+
+const isOpenOpportunity = (opportunity) => OPEN_OPPORTUNITY_STAGES.includes(opportunity.stage);
+
+// Open deals whose expected close month has passed are still expected, so they count from this month
+const getForecastMonth = (opportunity, currentMonth) => (
+    opportunity.expectedCloseMonth && opportunity.expectedCloseMonth > currentMonth ? opportunity.expectedCloseMonth : currentMonth
+);
+
+// Value x probability in the base currency, at the rate for the month it's expected; null without a rate
+const getWeightedOpportunityValue = (opportunity, rates, baseCurrency, month) => {
+    const rate = getExchangeRate(rates, getIncomeCurrency(opportunity), baseCurrency, `${month}-31`);
+    if (rate === null) return null;
+    return (parseFloat(opportunity.value) || 0) * ((parseFloat(opportunity.probability) || 0) / 100) * rate;
+};
+
+// --- Partner Concentration ---
+// Revenue share by partner for the dashboard league tables. The HHI (Herfindahl-Hirschman index) is
+// the sum of squared percentage shares, from near 0 (spread thinly) to 10,000 (a single partner).
+const CONCENTRATION_TOP_N = 5;
+const HHI_BANDS = [
+    { max: 1500, label: 'Low', className: 'text-green-600' },
+    { max: 2500, label: 'Moderate', className: 'text-yellow-600' },
+    { max: Infinity, label: 'High', className: 'text-red-600' },
+];
+const PARETO_CHART_SIZE = 10; // Partners plotted as bars; the table lists them all
+
+// Rank partners by revenue. Each row carries its share and the running share for the pareto line.
+const rankPartners = (totalsByPartner) => {
+    const total = Object.values(totalsByPartner).reduce((sum, amount) => sum + amount, 0);
+    let running = 0;
+    const rows = Object.entries(totalsByPartner)
+        .filter(([, amount]) => amount !== 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([partnerId, amount], i) => {
+            running += amount;
+            return {
+                rank: i + 1,
+                partnerId,
+                amount,
+                share: total ? amount / total : 0,
+                cumulativeShare: total ? running / total : 0,
+            };
+        });
+    return {
+        rows,
+        total,
+        topShare: rows.slice(0, CONCENTRATION_TOP_N).reduce((sum, row) => sum + row.share, 0),
+        hhi: rows.reduce((sum, row) => sum + (row.share * 100) ** 2, 0),
+    };
+};
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+// --- Year-End Projections ---
+// Least-squares straight line through a series of monthly values, by month index
+const fitTrend = (values) => {
+    const n = values.length;
+    if (n < 2) return { slope: 0, intercept: values[0] || 0 };
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    const covariance = values.reduce((sum, v, x) => sum + (x - meanX) * (v - meanY), 0);
+    const variance = values.reduce((sum, v, x) => sum + (x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+    return { slope, intercept: meanY - slope * meanX };
+};
+
+// Change as a fraction of the earlier value; null when there is nothing to compare with
+const percentChange = (current, previous) => (previous ? (current - previous) / Math.abs(previous) : null);
+
+const CONTACT_ROLES = ['Primary', 'Billing', 'Commercial', 'Technical', 'Legal', 'Other'].map(role => ({ value: role, label: role }));
+
+// Partners keep a list of contacts. Older records have a single contactName/Email/Phone, read as the primary contact.
+const getPartnerContacts = (partner) => {
+    if (partner?.contacts?.length) return partner.contacts;
+    if (!partner?.contactName && !partner?.contactEmail && !partner?.contactPhone) return [];
+    return [{ name: partner.contactName || '', role: 'Primary', email: partner.contactEmail || '', phone: partner.contactPhone || '' }];
+};
+
+// Invoices go to the billing contact, or the first contact when nobody has that role
+const getBillingContact = (partner) => {
+    const contacts = getPartnerContacts(partner);
+    return contacts.find(c => c.role === 'Billing') || contacts[0] || null;
+};
+
+const INVOICE_STATUSES = [
+    { value: 'pending', label: 'Pending' },
+    { value: 'sent', label: 'Sent' },
+    { value: 'partPaid', label: 'Part Paid' },
+    { value: 'paid', label: 'Paid' },
+    { value: 'overdue', label: 'Overdue' },
+];
+
+const INVOICE_STATUS_STYLES = {
+    pending: 'bg-gray-100 text-gray-800',
+    sent: 'bg-blue-100 text-blue-800',
+    partPaid: 'bg-yellow-100 text-yellow-800',
+    paid: 'bg-green-100 text-green-800',
+    overdue: 'bg-red-100 text-red-800',
+};
+
+// --- Currency Helpers ---
+// Income amounts are held in the currency of their entry (entries from before multi-currency are
+// GBP). Reports convert them to the base currency using the exchange rates kept in Settings.
+// Budgets are entered in the base currency.
+const DEFAULT_BASE_CURRENCY = 'GBP';
+const CURRENCY_LOCALE = 'en-GB';
+
+const CURRENCIES = [
+    { value: 'GBP', label: 'GBP - Pound Sterling' },
+    { value: 'EUR', label: 'EUR - Euro' },
+    { value: 'USD', label: 'USD - US Dollar' },
+];
+
+const currencyFormatters = {};
+
+const getCurrencyFormatter = (currency) => {
+    if (!currencyFormatters[currency]) {
+        currencyFormatters[currency] = new Intl.NumberFormat(CURRENCY_LOCALE, { style: 'currency', currency });
+    }
+    return currencyFormatters[currency];
+};
+
+const formatCurrency = (amount, currency = DEFAULT_BASE_CURRENCY) => getCurrencyFormatter(currency).format(amount || 0);
+
+const getCurrencySymbol = (currency) => (
+    getCurrencyFormatter(currency).formatToParts(0).find(part => part.type === 'currency')?.value || currency
+);
+
+const getIncomeCurrency = (item) => item.currency || DEFAULT_BASE_CURRENCY;
+
+// Rates read "1 {currency} = {rate} {baseCurrency}" and apply from their date until the next rate
+// for the same pair; dates before the first rate use the earliest one. Pairs work both ways round.
+// Returns null when there is no rate for the pair.
+const getExchangeRate = (rates, from, to, dateKey) => {
+    if (from === to) return 1;
+    const pick = (currency, baseCurrency) => {
+        const candidates = rates
+            .filter(r => r.currency === currency && r.baseCurrency === baseCurrency && r.rate > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (candidates.length === 0) return null;
+        return (candidates.filter(r => r.date <= dateKey).pop() || candidates[0]).rate;
+    };
+    const direct = pick(from, to);
+    if (direct) return direct;
+    const inverse = pick(to, from);
+    return inverse ? 1 / inverse : null;
+};
+
+// Recognised amounts in the base currency, each month converted at that month's closing rate
+// ("YYYY-MM-31" sorts after every day of the month). Months without a rate are listed in missingMonths.
+const getRecognisedBaseAmounts = (item, rates, baseCurrency) => {
+    const amounts = {};
+    const missingMonths = [];
+    Object.entries(getRecognisedAmounts(item)).forEach(([month, amount]) => {
+        const rate = getExchangeRate(rates, getIncomeCurrency(item), baseCurrency, `${month}-31`);
+        if (rate === null) missingMonths.push(month);
+        else amounts[month] = amount * rate;
+    });
+    return { amounts, missingMonths };
+};
+
+// --- Receivables Helpers ---
+// Invoice status is derived from the issue/due dates and recorded payments, so an unpaid invoice
+// turns overdue on its own once the due date passes. Dates are "YYYY-MM-DD" strings.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDaysToDateKey = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+};
+
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+
+const getPaidAmount = (item) => (item.payments || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+
+// Payments settle the gross amount billed: the invoice total saved when it was sent, or until then
+// (and for invoices sent before totals were saved) the net value plus VAT at the default rate
+const getInvoiceTotal = (item) => (
+    item.invoiceTotal ?? Math.round((parseFloat(item.value) || 0) * (100 + DEFAULT_VAT_RATE)) / 100
+);
+
+const getInvoiceStatus = (item, today = todayKey()) => {
+    const total = getInvoiceTotal(item);
+    const paid = getPaidAmount(item);
+    // Older entries were marked paid or overdue by hand, without payments or a due date
+    if ((total > 0 && paid >= total) || (item.invoiceStatus === 'paid' && !item.payments?.length)) return 'paid';
+    if (!item.invoiceDueDate && item.invoiceStatus === 'overdue') return 'overdue';
+    const issued = item.invoiceIssueDate || ['sent', 'partPaid', 'overdue'].includes(item.invoiceStatus);
+    if (!issued) return 'pending';
+    if (item.invoiceDueDate && item.invoiceDueDate < today) return 'overdue';
+    return paid > 0 ? 'partPaid' : 'sent';
+};
+
+const getOutstandingAmount = (item) => (
+    getInvoiceStatus(item) === 'paid' ? 0 : Math.max(0, getInvoiceTotal(item) - getPaidAmount(item))
+);
+
+// Stores the derived status alongside the record so Firestore reads and exports stay meaningful
+const withInvoiceStatus = (item) => ({ ...item, invoiceStatus: getInvoiceStatus(item) });
+
+const AGEING_BUCKETS = [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: '1-30', label: '1-30 Days', maxDays: 30 },
+    { key: '31-60', label: '31-60 Days', maxDays: 60 },
+    { key: '61-90', label: '61-90 Days', maxDays: 90 },
+    { key: '90+', label: '90+ Days', maxDays: Infinity },
+];
+
+const getDaysOverdue = (item, today = todayKey()) => (item.invoiceDueDate ? daysBetween(item.invoiceDueDate, today) : 0);
+
+const getAgeingBucket = (daysOverdue) => AGEING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+
+// --- Financial Year Helpers ---
+// A financial year (FY) is identified by the calendar year it starts in,
+// e.g. FY 2025 with a start month of 10 runs from Oct 2025 to Sep 2026.
+const DEFAULT_FY_START_MONTH = 10; // October
+
+const MONTH_OPTIONS = Array.from({ length: 12 }, (_, i) => ({
+    value: i + 1,
+    label: new Date(Date.UTC(2000, i, 1)).toLocaleString('default', { month: 'long', timeZone: 'UTC' })
+}));
+
+const getCurrentFinancialYear = (fyStartMonth, date = new Date()) => {
+    const month = date.getMonth() + 1;
+    return month >= fyStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+};
+
+// Returns the 12 months of a financial year as { key: "YYYY-MM", name: "October 2025" }
+const getFinancialYearMonths = (fyStartYear, fyStartMonth) => {
+    let arr = [];
+    for (let i = 0; i < 12; i++) {
+        const currentDate = new Date(Date.UTC(fyStartYear, fyStartMonth - 1 + i, 1));
+        arr.push({
+            key: currentDate.toISOString().substring(0, 7), // "YYYY-MM"
+            name: currentDate.toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        });
+    }
+    return arr;
+};
+
+// e.g. "Oct 2025 - Sep 2026"
+const getFinancialYearLabel = (fyStartYear, fyStartMonth) => {
+    const months = getFinancialYearMonths(fyStartYear, fyStartMonth);
+    const format = (key) => new Date(`${key}-01T00:00:00Z`)
+        .toLocaleString('default', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    return `${format(months[0].key)} - ${format(months[months.length - 1].key)}`;
+};
+
+// e.g. "FY 2025/26", or "FY 2026" when the year starts in January
+const getFinancialYearShortLabel = (fyStartYear, fyStartMonth) => (
+    fyStartMonth === 1
+        ? `FY ${fyStartYear}`
+        : `FY ${fyStartYear}/${String(fyStartYear + 1).slice(-2)}`
+);
 
 // --- Main Application Component ---
 export default function App() {
     // --- State Management ---
-    const [view, setView] = useState('dashboard'); // dashboard, income, budgets, partners
+    const [view, setView] = useState(() => readUrlParams().get('view') || 'dashboard'); // dashboard, income, budgets, partners, users, trash, settings
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [userEmail, setUserEmail] = useState(null);
+    const [userProfile, setUserProfile] = useState(null); // { email, displayName, role }
     const [isAuthReady, setIsAuthReady] = useState(false);
 
     // Data from Firestore
     const [incomeData, setIncomeData] = useState([]);
     const [budgetData, setBudgetData] = useState([]);
     const [partners, setPartners] = useState([]);
+    const [settings, setSettings] = useState({});
+    const [users, setUsers] = useState([]);
+    const [exchangeRates, setExchangeRates] = useState([]);
+    const [incomeTypeDocs, setIncomeTypeDocs] = useState([]);
+    const [budgetVersionDocs, setBudgetVersionDocs] = useState([]);
+    const [opportunities, setOpportunities] = useState([]); // Sales pipeline
+    const [recentAudit, setRecentAudit] = useState([]); // Latest audit entries, for notifications
+    const [preferences, setPreferences] = useState({}); // The signed-in user's own preferences
 
     // UI State
     const [showModal, setShowModal] = useState(false);
     const [editingItem, setEditingItem] = useState(null); // Can be income, budget, or partner
     const [modalType, setModalType] = useState(''); // 'income', 'partner'
-    const [notification, setNotification] = useState(null); // For new updates
+    const [toasts, setToasts] = useState([]); // { id, type: 'success' | 'info' | 'error', message, onRetry }
+    const [selectedFinancialYear, setSelectedFinancialYear] = useState(null); // null = current FY
+    const [budgetVersionId, setBudgetVersionId] = useState(ORIGINAL_BUDGET_VERSION.id); // Version open in the budget grid
+    const [copyingVersionId, setCopyingVersionId] = useState(null); // Version whose rows are being copied in
+    const [profilePartnerId, setProfilePartnerId] = useState(() => readUrlParams().get('partner')); // Partner profile open under Partners
+
+    // Connectivity
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [pendingWrites, setPendingWrites] = useState(0); // Commits the server hasn't acknowledged yet
+
+    // --- Financial Year ---
+    const fyStartMonth = parseInt(settings.fyStartMonth, 10) || DEFAULT_FY_START_MONTH;
+    const financialYear = selectedFinancialYear ?? getCurrentFinancialYear(fyStartMonth);
+
+    // --- Currency ---
+    const baseCurrency = settings.baseCurrency || DEFAULT_BASE_CURRENCY;
+
+    // --- Income Types ---
+    const incomeTypes = useMemo(() => (
+        incomeTypeDocs.length > 0
+            ? [...incomeTypeDocs].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+            : DEFAULT_INCOME_TYPES
+    ), [incomeTypeDocs]);
+
+    // --- Budget Versions ---
+    // Original first, then the other versions in the order they were created
+    const budgetVersions = useMemo(() => [
+        { ...ORIGINAL_BUDGET_VERSION, ...budgetVersionDocs.find(v => v.id === ORIGINAL_BUDGET_VERSION.id) },
+        ...budgetVersionDocs
+            .filter(v => v.id !== ORIGINAL_BUDGET_VERSION.id)
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')),
+    ], [budgetVersionDocs]);
+    const selectedBudgetVersion = budgetVersions.find(v => v.id === budgetVersionId) || budgetVersions[0];
+    const selectedVersionBudgets = useMemo(
+        () => budgetData.filter(b => getBudgetVersionId(b) === selectedBudgetVersion.id),
+        [budgetData, selectedBudgetVersion.id]
+    );
+
+    // Keep the current view in the URL. Only the income view keeps its other params (its filters);
+    // the partners view adds the open profile.
+    useEffect(() => {
+        const params = view === 'income' ? readUrlParams() : new URLSearchParams();
+        params.set('view', view);
+        if (view === 'partners' && profilePartnerId) params.set('partner', profilePartnerId);
+        writeUrlParams(params);
+    }, [view, profilePartnerId]);
+
+    // --- Notifications ---
+    // Your own changes are left out. Entries newer than the read marker are unread; until the user
+    // first marks them read, that is when their profile was created.
+    const notificationsReadAt = preferences.notificationsReadAt || userProfile?.createdAt || '';
+    const notifications = useMemo(() => {
+        const enabled = preferences.notificationEvents || {};
+        return recentAudit
+            .filter(entry => (
+                entry.userId !== userId
+                && NOTIFICATION_EVENTS.some(event => event.action === entry.action)
+                && enabled[entry.action] !== false
+            ))
+            .map(entry => ({ ...entry, unread: (entry.timestamp || '') > notificationsReadAt }));
+    }, [recentAudit, preferences, userId, notificationsReadAt]);
+
+    // --- Permissions ---
+    const role = userProfile?.role || 'viewer';
+    const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
+    // The view can come from a link: an unknown one, or one this user's role can't open, shows the dashboard
+    useEffect(() => {
+        if (userProfile && !canOpenView(view, can)) setView('dashboard');
+    }, [userProfile, view, can]);
+
+    // Archived (soft-deleted) records only appear in the Trash view
+    const activeIncome = useMemo(() => incomeData.filter(i => !i.archived), [incomeData]);
+
+    // --- Approvals ---
+    const approvalAutoPost = settings.approvalAutoPost === true; // Approving posts the entry straight away
+    const approvalCount = can('income:validate')
+        ? activeIncome.filter(i => getIncomeStatus(i) === 'submitted' && i.submittedBy !== userId).length
+        : 0;
+    const activePartners = useMemo(() => partners.filter(p => !p.archived), [partners]);
+    const profilePartner = activePartners.find(p => p.id === profilePartnerId);
+
+    // --- Toasts ---
+    const showToast = useCallback((message, { type = 'success', onRetry } = {}) => {
+        setToasts(prev => [...prev, { id: crypto.randomUUID(), type, message, onRetry }]);
+    }, []);
+
+    const dismissToast = useCallback((id) => {
+        setToasts(prev => prev.filter(t => t.id !== id));
+    }, []);
+
+    // For handlers without a form to show the error in; onRetry re-runs the failed action
+    const showError = (message, error, onRetry) => {
+        showToast(`${message} ${getErrorMessage(error)}`, { type: 'error', onRetry });
+    };
+
+    // --- Offline Sync ---
+    // Firestore applies writes to its local cache straight away and queues them until the server
+    // acknowledges them. Count the unacknowledged commits for the sync indicator in the header.
+    const trackPendingWrite = useCallback((promise) => {
+        setPendingWrites(n => n + 1);
+        promise.finally(() => setPendingWrites(n => n - 1)).catch(() => {});
+        return promise;
+    }, []);
+
+    // Commit a batch. Offline, the server can't acknowledge it until we reconnect, so don't keep the
+    // caller waiting: the change is already in the local cache and will sync later. `queued` does the
+    // same for writes we already know can't reach the server.
+    const commitWrite = (batch, { queued = !isOnline } = {}) => {
+        const committed = trackPendingWrite(batch.commit());
+        if (!queued) return committed;
+        committed.catch(e => {
+            console.error("Error syncing queued changes: ", e);
+            showError('Some changes made offline could not be saved.', e);
+        });
+        return Promise.resolve();
+    };
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
 
     // --- Firebase Initialization & Auth ---
     useEffect(() => {
         try {
             const app = initializeApp(firebaseConfig);
             const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
-            setLogLevel('Debug'); // Enable Firestore logging
+            // Keep a persistent cache (shared between tabs) so the app opens and takes edits offline
+            const dbInstance = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+            });
+            setLogLevel(import.meta.env.DEV ? 'debug' : 'error'); // Verbose Firestore logging in development only
+
+            if (useEmulators) {
+                connectAuthEmulator(authInstance, 'http://127.0.0.1:9099', { disableWarnings: true });
+                connectFirestoreEmulator(dbInstance, '127.0.0.1', 8080);
+            }
 
             setDb(dbInstance);
             setAuth(authInstance);
+            // Writes queued in an earlier session still count as waiting (as one) until they're all through
+            trackPendingWrite(waitForPendingWrites(dbInstance));
 
             const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setUserEmail(user.email);
                     setIsAuthReady(true);
                 } else {
-                    try {
-                        // Use Vercel env var for auth token if it exists
-                        if (initialAuthToken) {
+                    setUserId(null);
+                    setUserEmail(null);
+                    setUserProfile(null);
+                    // Use Vercel env var for auth token if it exists, otherwise show the sign-in form
+                    if (initialAuthToken) {
+                        try {
                             await signInWithCustomToken(authInstance, initialAuthToken);
-                        } else {
-                            await signInAnonymously(authInstance);
+                            return;
+                        } catch (authError) {
+                            console.error("Error signing in: ", authError);
                         }
-                    } catch (authError) {
-                        console.error("Error signing in: ", authError);
                     }
+                    setIsAuthReady(true);
                 }
             });
             return () => unsubscribe();
@@ -117,39 +1074,75 @@ export default function App() {
             income: collection(db, `${basePath}/income`),
             budgets: collection(db, `${basePath}/budgets`),
             partners: collection(db, `${basePath}/partners`),
+            settings: doc(db, `${basePath}/settings/general`),
+            users: collection(db, `${basePath}/users`),
+            auditLog: collection(db, `${basePath}/auditLog`),
+            counters: collection(db, `${basePath}/counters`),
+            invoiceNumbers: collection(db, `${basePath}/invoiceNumbers`),
+            exchangeRates: collection(db, `${basePath}/exchangeRates`),
+            incomeTypes: collection(db, `${basePath}/incomeTypes`),
+            budgetVersions: collection(db, `${basePath}/budgetVersions`),
+            userPreferences: collection(db, `${basePath}/userPreferences`),
+            opportunities: collection(db, `${basePath}/opportunities`),
         };
     }, [db, appId]);
 
+    // --- User Profile Listener ---
+    // New accounts get a viewer profile; an admin then assigns their role.
+    useEffect(() => {
+        if (!userId || !paths) return;
+
+        const profileRef = doc(paths.users, userId);
+        const unsubscribeProfile = onSnapshot(profileRef, (snapshot) => {
+            if (snapshot.exists()) {
+                setUserProfile(snapshot.data());
+            } else {
+                setDoc(profileRef, {
+                    email: userEmail || '',
+                    displayName: '',
+                    role: 'viewer',
+                    createdAt: new Date().toISOString(),
+                }).catch(e => console.error("Error creating user profile: ", e));
+            }
+        }, (error) => console.error("Error listening to user profile:", error));
+
+        return () => unsubscribeProfile();
+    }, [userId, userEmail, paths]);
+
     // --- Real-time Data Listeners (Firestore) ---
     useEffect(() => {
-        if (!isAuthReady || !paths) return;
+        if (!isAuthReady || !userId || !paths) return;
 
         // Income Listener
         const incomeQuery = query(paths.income);
         const unsubscribeIncome = onSnapshot(incomeQuery, (snapshot) => {
             const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            
-            // Notification logic
-            snapshot.docChanges().forEach((change) => {
-                // Only notify if data was already loaded
-                if (incomeData.length > 0) {
-                    const changedData = change.doc.data();
-                    let message = '';
-                    if (change.type === 'added') {
-                        message = `New Entry: ${changedData.incomeType} - $${changedData.value}`;
-                    } else if (change.type === 'modified') {
-                         message = `Updated: ${changedData.incomeType} - $${changedData.value}`;
-                    }
+            setIncomeData(data);
+        }, (error) => console.error("Error listening to income:", error));
 
-                    if(message) {
-                        setNotification(message);
-                    }
-                }
+        // Recent Audit Listener (notifications). Only income changes notify anyone, so only those are read:
+        // budget saves and imports would otherwise push them out of the window. Needs the composite
+        // index in firestore.indexes.json.
+        // The range on timestamp leaves out entries stamped by the client, whose strings would sort first.
+        const recentAuditQuery = query(
+            paths.auditLog,
+            where('entityType', '==', 'income'),
+            where('timestamp', '>', new Date(0)),
+            orderBy('timestamp', 'desc'),
+            limit(NOTIFICATION_HISTORY_LIMIT)
+        );
+        const unsubscribeAudit = onSnapshot(recentAuditQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => {
+                const entry = doc.data({ serverTimestamps: 'estimate' });
+                return { id: doc.id, ...entry, timestamp: getAuditTimestamp(entry) };
             });
-            
-            setIncomeData(data); // Set data after processing changes
-            
-        }, (error) => console.error("Error listening to income:", error));
+            setRecentAudit(data);
+        }, (error) => console.error("Error listening to audit log:", error));
+
+        // Preferences Listener
+        const unsubscribePreferences = onSnapshot(doc(paths.userPreferences, userId), (snapshot) => {
+            setPreferences(snapshot.exists() ? snapshot.data() : {});
+        }, (error) => console.error("Error listening to preferences:", error));
 
         // Budget Listener
         const budgetQuery = query(paths.budgets);
@@ -165,114 +1158,920 @@ export default function App() {
             setPartners(data);
         }, (error) => console.error("Error listening to partners:", error));
 
+        // Settings Listener
+        const unsubscribeSettings = onSnapshot(paths.settings, (snapshot) => {
+            setSettings(snapshot.exists() ? snapshot.data() : {});
+        }, (error) => console.error("Error listening to settings:", error));
+
+        // Users Listener
+        const unsubscribeUsers = onSnapshot(query(paths.users), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setUsers(data);
+        }, (error) => console.error("Error listening to users:", error));
+
+        // Exchange Rates Listener
+        const unsubscribeRates = onSnapshot(query(paths.exchangeRates), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setExchangeRates(data);
+        }, (error) => console.error("Error listening to exchange rates:", error));
+
+        // Income Types Listener
+        const unsubscribeIncomeTypes = onSnapshot(query(paths.incomeTypes), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setIncomeTypeDocs(data);
+        }, (error) => console.error("Error listening to income types:", error));
+
+        // Budget Versions Listener
+        const unsubscribeBudgetVersions = onSnapshot(query(paths.budgetVersions), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setBudgetVersionDocs(data);
+        }, (error) => console.error("Error listening to budget versions:", error));
+
+        // Opportunities Listener
+        const unsubscribeOpportunities = onSnapshot(query(paths.opportunities), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setOpportunities(data);
+        }, (error) => console.error("Error listening to opportunities:", error));
+
         return () => {
             unsubscribeIncome();
+            unsubscribeAudit();
+            unsubscribePreferences();
             unsubscribeBudgets();
             unsubscribePartners();
+            unsubscribeSettings();
+            unsubscribeUsers();
+            unsubscribeRates();
+            unsubscribeIncomeTypes();
+            unsubscribeBudgetVersions();
+            unsubscribeOpportunities();
         };
-    }, [isAuthReady, paths, incomeData.length]); // Re-run if auth is ready or paths change
+    }, [isAuthReady, userId, paths]); // Re-run if auth is ready or paths change
 
 
     // --- Helper Functions ---
-    const generateInvoiceNumber = () => `AVE-${Date.now()}`;
-    const getPartners = (type) => partners.filter(p => p.type === type);
-    
-    // --- CRUD Operations ---
+    // Inactive partners can't be picked for new income, but an entry being edited keeps its partner
+    const getPartners = (type) => activePartners.filter(p => (
+        p.type === type && (p.active !== false || p.id === editingItem?.partnerId)
+    ));
+    const getLinkedIncome = (partnerId) => incomeData.filter(i => i.partnerId === partnerId);
 
-    // Save/Update Income
-    const handleSaveIncome = async (income) => {
-        if (!paths) return;
-        try {
-            if (income.id) {
-                // Update existing
-                const docRef = doc(paths.income, income.id);
-                await setDoc(docRef, income, { merge: true });
-            } else {
-                // Create new
-                await addDoc(paths.income, {
-                    ...income,
-                    status: 'pending', // Default status for new entries
-                    invoiceNumber: generateInvoiceNumber(),
-                    createdAt: new Date().toISOString(),
-                });
-            }
-            setShowModal(false);
-            setEditingItem(null);
-        } catch (e) {
-            console.error("Error saving income: ", e);
-        }
+    // Queue an immutable audit log entry in the same batch (or transaction) as the change it describes.
+    // The rules only accept it if that write creates, changes or deletes the record, with the server's
+    // time and the signed-in user's email, so a save that changes nothing records nothing.
+    const addAuditEntry = (batch, entityType, entityId, action, before, after) => {
+        const changes = diffFields(before, after);
+        if (changes.length === 0) return;
+        batch.set(doc(paths.auditLog), {
+            entityType, // 'income', 'budget', 'partner', 'opportunity', ...
+            entityId,
+            action,     // One of the actions firestore.rules allows: 'create', 'update', 'approve', 'purge', ...
+            changes,
+            userId,
+            userEmail: userEmail || '',
+            timestamp: serverTimestamp(),
+        });
     };
 
-    // Validate Income
-    const handleValidateIncome = async (incomeId) => {
-        if (!paths) return;
-        try {
-            const docRef = doc(paths.income, incomeId);
-            await setDoc(docRef, { status: 'posted' }, { merge: true });
-            setNotification(`Entry ${incomeId.substring(0, 5)}... validated!`);
-        } catch (e) {
-            console.error("Error validating income: ", e);
+    // Commit one audited change per record, AUDITED_RECORDS_PER_COMMIT records per batch. If a batch
+    // fails, the error's savedCount says how many records went in before it.
+    const commitInChunks = async (records, write) => {
+        for (let i = 0; i < records.length; i += AUDITED_RECORDS_PER_COMMIT) {
+            const batch = writeBatch(db);
+            records.slice(i, i + AUDITED_RECORDS_PER_COMMIT).forEach(record => write(batch, record));
+            try {
+                await commitWrite(batch);
+            } catch (e) {
+                e.savedCount = i;
+                throw e;
+            }
         }
     };
+    
+    // Reserve `count` sequential invoice numbers inside a transaction, plus any `existingNumbers`
+    // (imported entries keep theirs). Only reads here: Firestore needs every transaction read before
+    // the first write, so the caller calls `reserve` once it knows which income docs the numbers belong to.
+    const allocateInvoiceNumbers = async (transaction, count, now, existingNumbers = []) => {
+        const invoiceFormat = settings.invoiceFormat || DEFAULT_INVOICE_FORMAT;
+        const resetPerFy = settings.invoiceResetPerFy !== false;
+        const currentFy = getCurrentFinancialYear(fyStartMonth, now);
+        const counterRef = doc(paths.counters, `invoice-${resetPerFy ? currentFy : 'all'}`);
 
-    // Delete Income
-    const handleDeleteIncome = async (incomeId) => {
-        if (!paths) return;
-        // We can add a custom modal for confirmation later
-        // For now, direct delete
-        try {
-            const docRef = doc(paths.income, incomeId);
-            await deleteDoc(docRef);
-        } catch (e)
-            {
-            console.error("Error deleting income: ", e);
+        const counterSnap = await transaction.get(counterRef);
+        const firstSequence = counterSnap.exists() ? counterSnap.data().next : 1;
+        let sequence = firstSequence;
+
+        // Existing numbers must not be taken yet. Those in the current format move the counter past them.
+        const existing = await Promise.all(existingNumbers.map(async (invoiceNumber) => {
+            const numberRef = doc(paths.invoiceNumbers, encodeURIComponent(invoiceNumber));
+            const numberSnap = await transaction.get(numberRef);
+            return { invoiceNumber, numberRef, taken: numberSnap.exists() };
+        }));
+        const taken = existing.filter(e => e.taken).map(e => e.invoiceNumber);
+        if (taken.length > 0) {
+            throw new Error(`Invoice ${taken.length === 1 ? 'number' : 'numbers'} already taken: ${taken.join(', ')}`);
         }
-    };
+        existing.forEach(({ invoiceNumber }) => {
+            const existingSequence = parseInvoiceSequence(invoiceFormat, invoiceNumber, currentFy);
+            if (existingSequence !== null && existingSequence >= sequence) sequence = existingSequence + 1;
+        });
+
+        // Skip numbers that are already taken, e.g. after the format was changed
+        const allocated = [];
+        let skipped = 0;
+        while (allocated.length < count) {
+            if (skipped >= 20) throw new Error('Could not allocate a unique invoice number');
+            const invoiceNumber = formatInvoiceNumber(invoiceFormat, { sequence, financialYear: currentFy, date: now });
+            const numberRef = doc(paths.invoiceNumbers, encodeURIComponent(invoiceNumber));
+            const numberSnap = await transaction.get(numberRef);
+            if (numberSnap.exists()) {
+                skipped++;
+            } else {
+                allocated.push({ invoiceNumber, numberRef });
+            }
+            sequence++;
+        }
+
+        // The rules only let the counter move forward, alongside the reservation it records as the last one
+        return {
+            invoiceNumbers: allocated.map(a => a.invoiceNumber),
+            reserve: (incomeIds, existingIncomeIds = []) => {
+                const reservations = [
+                    ...existing.map((e, i) => ({ numberRef: e.numberRef, incomeId: existingIncomeIds[i] })),
+                    ...allocated.map((a, i) => ({ numberRef: a.numberRef, incomeId: incomeIds[i] })),
+                ];
+                reservations.forEach(r => transaction.set(r.numberRef, { incomeId: r.incomeId, createdAt: now.toISOString() }));
+                if (sequence > firstSequence) {
+                    transaction.set(counterRef, { next: sequence, lastReservedId: reservations[reservations.length - 1].numberRef.id }, { merge: true });
+                }
+            },
+        };
+    };
+
+    // Allocate the next invoice number and create the income entry in one transaction, so numbers
+    // are sequential, unique and only consumed by entries that are actually saved.
+    // Existing entries keep whatever number they were created with.
+    const createIncomeWithInvoiceNumber = (income) => {
+        const now = new Date();
+        const incomeRef = doc(paths.income);
+
+        return runTransaction(db, async (transaction) => {
+            const { invoiceNumbers, reserve } = await allocateInvoiceNumbers(transaction, 1, now);
+            const newIncome = {
+                ...income, // Includes its workflow status: draft, or submitted straight away
+                invoiceNumber: invoiceNumbers[0],
+                createdAt: now.toISOString(),
+            };
+            reserve([incomeRef.id]);
+            transaction.set(incomeRef, newIncome);
+            addAuditEntry(transaction, 'income', incomeRef.id, 'create', {}, newIncome);
+            closeConvertedOpportunity(transaction, newIncome, incomeRef.id);
+        });
+    };
+
+    // Income converted from a pipeline opportunity marks it as won, in the same write
+    const closeConvertedOpportunity = (writer, income, incomeId) => {
+        if (!income.opportunityId) return;
+        const before = opportunities.find(o => o.id === income.opportunityId) || {};
+        const changes = { stage: 'won', probability: 100, incomeId, wonAt: new Date().toISOString() };
+        writer.set(doc(paths.opportunities, income.opportunityId), changes, { merge: true });
+        addAuditEntry(writer, 'opportunity', income.opportunityId, 'update', before, { ...before, ...changes });
+    };
+
+    // Invoice numbering needs the server (it runs in a transaction), so income entered offline is
+    // queued without a number and flagged for numbering once we're back online.
+    // The browser can claim to be online behind a captive portal or on a flaky connection; the
+    // transaction then fails as unavailable, and the entry is queued all the same.
+    // Resolves to whether the entry got its number straight away.
+    const createIncome = async (income) => {
+        if (isOnline) {
+            try {
+                await createIncomeWithInvoiceNumber(income);
+                return true;
+            } catch (e) {
+                if (e.code !== 'unavailable') throw e;
+            }
+        }
+        await queueIncomeWithoutInvoiceNumber(income);
+        return false;
+    };
+
+    const queueIncomeWithoutInvoiceNumber = (income) => {
+        const incomeRef = doc(paths.income);
+        const newIncome = {
+            ...income,
+            invoiceNumberPending: true,
+            createdAt: new Date().toISOString(),
+        };
+        const batch = writeBatch(db);
+        batch.set(incomeRef, newIncome);
+        addAuditEntry(batch, 'income', incomeRef.id, 'create', {}, newIncome);
+        closeConvertedOpportunity(batch, newIncome, incomeRef.id);
+        return commitWrite(batch, { queued: true });
+    };
+
+    // Number our own queued entries once online. The transaction re-reads each entry, so one that's
+    // already been numbered is left alone. After a failure it waits for the user to retry.
+    const numberingInvoices = useRef(false);
+    const [numberingFailed, setNumberingFailed] = useState(false);
+    useEffect(() => {
+        if (!paths || !isOnline || !can('income:write') || numberingInvoices.current || numberingFailed) return;
+        // A few at a time; the effect runs again for the rest once these are numbered
+        const queued = incomeData
+            .filter(i => i.invoiceNumberPending && !i.archived && i.createdBy === userId)
+            .slice(0, AUDITED_RECORDS_PER_COMMIT);
+        if (queued.length === 0) return;
+
+        numberingInvoices.current = true;
+        // Wait for our own queued creates to reach the server first, so the transaction can read them
+        waitForPendingWrites(db).then(() => runTransaction(db, async (transaction) => {
+            const snaps = await Promise.all(queued.map(i => transaction.get(doc(paths.income, i.id))));
+            const unnumbered = snaps.filter(snap => snap.exists() && snap.data().invoiceNumberPending);
+            if (unnumbered.length === 0) return;
+
+            const { invoiceNumbers, reserve } = await allocateInvoiceNumbers(transaction, unnumbered.length, new Date());
+            reserve(unnumbered.map(snap => snap.id));
+            unnumbered.forEach((snap, i) => {
+                const changes = { invoiceNumber: invoiceNumbers[i], invoiceNumberPending: false };
+                transaction.set(snap.ref, changes, { merge: true });
+                addAuditEntry(transaction, 'income', snap.id, 'number', snap.data(), { ...snap.data(), ...changes });
+            });
+        }))
+            .catch(e => {
+                console.error("Error numbering queued income: ", e);
+                setNumberingFailed(true);
+                showError('Could not assign invoice numbers to the income saved offline.', e, () => setNumberingFailed(false));
+            })
+            .finally(() => { numberingInvoices.current = false; });
+    }, [paths, isOnline, incomeData, numberingFailed]);
+    
+    // --- CRUD Operations ---
+
+    // Save/Update Income. With `submit`, the entry goes to the approvers as well.
+    const handleSaveIncome = async (income, { submit = false } = {}) => {
+        if (!paths || !can('income:write')) return;
+        const submission = submit
+            ? { status: 'submitted', submittedBy: userId, submittedAt: new Date().toISOString(), rejectionComment: null }
+            : {};
+        try {
+            let numbered = true;
+            if (income.id) {
+                // Update existing
+                const before = incomeData.find(i => i.id === income.id) || {};
+                if (!canEditIncome(before, can)) throw new Error('This entry is locked. Posted entries must be reopened by finance first.');
+                const batch = writeBatch(db);
+                const docRef = doc(paths.income, income.id);
+                const changes = withInvoiceStatus({ ...before, ...income, ...submission });
+                batch.set(docRef, changes, { merge: true });
+                addAuditEntry(batch, 'income', income.id, 'update', before, changes);
+                await commitWrite(batch);
+            } else {
+                // Create new
+                const newIncome = withInvoiceStatus({ ...income, status: 'draft', createdBy: userId, ...submission });
+                numbered = await createIncome(newIncome);
+            }
+            setShowModal(false);
+            setEditingItem(null);
+            if (income.opportunityId && !income.id) showToast('Opportunity won and converted to income');
+            else if (submit) showToast('Entry submitted for approval');
+            else if (income.id) showToast('Income entry updated');
+            else showToast(numbered ? 'Draft saved' : 'Draft saved. It gets an invoice number once it syncs.');
+        } catch (e) {
+            console.error("Error saving income: ", e);
+            throw e; // The form shows the error and keeps what the user entered
+        }
+    };
+
+    // --- Approval Workflow ---
+    // Move an entry to another workflow status, with the audit entry for `action`
+    const setIncomeStatus = async (incomeId, action, changes) => {
+        const before = incomeData.find(i => i.id === incomeId) || {};
+        const batch = writeBatch(db);
+        batch.set(doc(paths.income, incomeId), changes, { merge: true });
+        addAuditEntry(batch, 'income', incomeId, action, before, { ...before, ...changes });
+        await commitWrite(batch);
+    };
+
+    const getEntryLabel = (incomeId) => {
+        const item = incomeData.find(i => i.id === incomeId);
+        return item?.invoiceNumber || `Entry ${incomeId.substring(0, 5)}...`;
+    };
+
+    // Submit a draft (or a rejected entry, once corrected) for approval
+    const handleSubmitIncome = async (incomeId) => {
+        if (!paths || !can('income:write')) return;
+        try {
+            await setIncomeStatus(incomeId, 'submit', {
+                status: 'submitted',
+                submittedBy: userId,
+                submittedAt: new Date().toISOString(),
+                rejectionComment: null,
+            });
+            showToast(`${getEntryLabel(incomeId)} submitted for approval`);
+        } catch (e) {
+            console.error("Error submitting income: ", e);
+            showError('The entry could not be submitted.', e, () => handleSubmitIncome(incomeId));
+        }
+    };
+
+    // Approve a submitted entry; with the auto-post setting on, this posts it too
+    const handleApproveIncome = async (incomeId) => {
+        if (!paths || !can('income:validate')) return;
+        const item = incomeData.find(i => i.id === incomeId) || {};
+        if (item.submittedBy === userId) {
+            showToast("You can't approve an entry you submitted. Another approver needs to review it.", { type: 'error' });
+            return;
+        }
+        try {
+            const now = new Date().toISOString();
+            const approval = { status: 'approved', approvedBy: userId, approvedAt: now };
+            await setIncomeStatus(incomeId, 'approve', approvalAutoPost
+                ? { ...approval, status: 'posted', postedBy: userId, postedAt: now }
+                : approval);
+            showToast(`${getEntryLabel(incomeId)} ${approvalAutoPost ? 'approved and posted' : 'approved'}`);
+        } catch (e) {
+            console.error("Error approving income: ", e);
+            showError('The entry could not be approved.', e, () => handleApproveIncome(incomeId));
+        }
+    };
+
+    // Send a submitted entry back to its author. The reason is required.
+    const handleRejectIncome = async (incomeId, comment) => {
+        if (!paths || !can('income:validate')) return;
+        if (!comment.trim()) throw new Error('Give a reason for the rejection.');
+        try {
+            await setIncomeStatus(incomeId, 'reject', {
+                status: 'rejected',
+                rejectedBy: userId,
+                rejectedAt: new Date().toISOString(),
+                rejectionComment: comment.trim(),
+            });
+            closeModal();
+            showToast(`${getEntryLabel(incomeId)} sent back to its author`);
+        } catch (e) {
+            console.error("Error rejecting income: ", e);
+            throw e;
+        }
+    };
+
+    // Post an approved entry, which locks it. Recorded as 'validate', as posting always has been.
+    const handlePostIncome = async (incomeId) => {
+        if (!paths || !can('income:validate')) return;
+        try {
+            await setIncomeStatus(incomeId, 'validate', { status: 'posted', postedBy: userId, postedAt: new Date().toISOString() });
+            showToast(`${getEntryLabel(incomeId)} posted`);
+        } catch (e) {
+            console.error("Error posting income: ", e);
+            showError('The entry could not be posted.', e, () => handlePostIncome(incomeId));
+        }
+    };
+
+    // Unlock a posted entry for correction. It goes back to draft and through approval again.
+    const handleReopenIncome = async (incomeId) => {
+        if (!paths || !can('income:validate')) return;
+        try {
+            await setIncomeStatus(incomeId, 'reopen', {
+                status: 'draft',
+                reopenedBy: userId,
+                reopenedAt: new Date().toISOString(),
+                approvedBy: null,
+                approvedAt: null,
+                postedBy: null,
+                postedAt: null,
+            });
+            showToast(`${getEntryLabel(incomeId)} reopened as a draft`);
+        } catch (e) {
+            console.error("Error reopening income: ", e);
+            showError('The entry could not be reopened.', e, () => handleReopenIncome(incomeId));
+        }
+    };
+
+    // Delete Income (soft delete - the entry moves to the Trash)
+    const handleDeleteIncome = async (incomeId) => {
+        if (!paths || !can('income:delete')) return;
+        try {
+            const before = incomeData.find(i => i.id === incomeId) || {};
+            const archive = { archived: true, deletedBy: userId, deletedAt: new Date().toISOString() };
+            const batch = writeBatch(db);
+            const docRef = doc(paths.income, incomeId);
+            batch.set(docRef, archive, { merge: true });
+            addAuditEntry(batch, 'income', incomeId, 'delete', before, { ...before, ...archive });
+            await commitWrite(batch);
+            showToast('Entry moved to the Trash');
+        } catch (e)
+            {
+            console.error("Error deleting income: ", e);
+            showError('The entry could not be deleted.', e, () => handleDeleteIncome(incomeId));
+        }
+    };
+
+    // --- Pipeline Handlers ---
+    const handleSaveOpportunity = async (opportunity) => {
+        if (!paths || !can('pipeline:write')) return;
+        try {
+            const batch = writeBatch(db);
+            const { id, ...data } = opportunity;
+            if (id) {
+                // Update
+                const before = opportunities.find(o => o.id === id) || {};
+                batch.set(doc(paths.opportunities, id), data, { merge: true });
+                addAuditEntry(batch, 'opportunity', id, 'update', before, { ...before, ...data });
+            } else {
+                // Create
+                const docRef = doc(paths.opportunities);
+                const newOpportunity = { ...data, createdBy: userId, createdAt: new Date().toISOString() };
+                batch.set(docRef, newOpportunity);
+                addAuditEntry(batch, 'opportunity', docRef.id, 'create', {}, newOpportunity);
+            }
+            await commitWrite(batch);
+            closeModal();
+            showToast(id ? 'Opportunity updated' : 'Opportunity added');
+        } catch (e) {
+            console.error("Error saving opportunity: ", e);
+            throw e;
+        }
+    };
+
+    const handleDeleteOpportunity = async (opportunityId) => {
+        if (!paths || !can('pipeline:write')) return;
+        try {
+            const before = opportunities.find(o => o.id === opportunityId) || {};
+            const batch = writeBatch(db);
+            batch.delete(doc(paths.opportunities, opportunityId));
+            addAuditEntry(batch, 'opportunity', opportunityId, 'delete', before, {});
+            await commitWrite(batch);
+            showToast(`${before.name || 'Opportunity'} deleted`);
+        } catch (e) {
+            console.error("Error deleting opportunity: ", e);
+            showError('The opportunity could not be deleted.', e, () => handleDeleteOpportunity(opportunityId));
+        }
+    };
+
+    // Show one entry in the Income Manager, by searching for its invoice number
+    const openIncomeInManager = (item) => {
+        writeUrlParams(new URLSearchParams({ view: 'income', q: item.invoiceNumber || '' }));
+        setView('income');
+    };
+
+    // Winning a deal opens a new income entry filled in from it; saving the entry closes the deal
+    const convertOpportunity = (opportunity) => {
+        openModal('income', {
+            opportunityId: opportunity.id,
+            incomeType: opportunity.incomeType,
+            partnerId: opportunity.partnerId,
+            value: opportunity.value,
+            currency: getIncomeCurrency(opportunity),
+            agreementStartDate: todayKey(),
+        });
+    };
 
     // Save/Update Partner
     const handleSavePartner = async (partner) => {
-        if (!paths) return;
+        if (!paths || !can('partners:write')) return;
         try {
+            const batch = writeBatch(db);
             if (partner.id) {
                 // Update
+                const before = partners.find(p => p.id === partner.id) || {};
                 const docRef = doc(paths.partners, partner.id);
-                await setDoc(docRef, partner, { merge: true });
+                batch.set(docRef, partner, { merge: true });
+                addAuditEntry(batch, 'partner', partner.id, 'update', before, { ...before, ...partner });
             } else {
                 // Create
-                await addDoc(paths.partners, partner);
+                const docRef = doc(paths.partners);
+                batch.set(docRef, partner);
+                addAuditEntry(batch, 'partner', docRef.id, 'create', {}, partner);
             }
+            await commitWrite(batch);
             setShowModal(false);
             setEditingItem(null);
+            showToast(partner.id ? 'Partner updated' : 'Partner added');
         } catch (e) {
             console.error("Error saving partner: ", e);
+            throw e;
         }
     };
 
-    // Delete Partner
+    // Delete Partner (soft delete - the partner moves to the Trash)
     const handleDeletePartner = async (partnerId) => {
-        if (!paths) return;
+        if (!paths || !can('partners:write')) return;
          try {
+            const before = partners.find(p => p.id === partnerId) || {};
+            const archive = { archived: true, deletedBy: userId, deletedAt: new Date().toISOString() };
+            const batch = writeBatch(db);
             const docRef = doc(paths.partners, partnerId);
-            await deleteDoc(docRef);
+            batch.set(docRef, archive, { merge: true });
+            addAuditEntry(batch, 'partner', partnerId, 'delete', before, { ...before, ...archive });
+            await commitWrite(batch);
+            showToast(`${before.name || 'Partner'} moved to the Trash`);
         } catch (e) {
             console.error("Error deleting partner: ", e);
+            showError('The partner could not be deleted.', e, () => handleDeletePartner(partnerId));
+        }
+    };
+
+    // Merge a partner into another: move its income (including archived entries) across, then delete it.
+    // The income moves in chunks. The partner is only deleted once all of it has moved, so a failed
+    // merge can simply be run again.
+    const handleReassignPartner = async (partnerId, targetPartnerId) => {
+        if (!paths || !can('partners:write') || !targetPartnerId) return;
+        try {
+            await commitInChunks(getLinkedIncome(partnerId), (moveBatch, item) => {
+                moveBatch.set(doc(paths.income, item.id), { partnerId: targetPartnerId }, { merge: true });
+                addAuditEntry(moveBatch, 'income', item.id, 'update', item, { ...item, partnerId: targetPartnerId });
+            });
+
+            const before = partners.find(p => p.id === partnerId) || {};
+            const archive = { archived: true, deletedBy: userId, deletedAt: new Date().toISOString(), mergedInto: targetPartnerId };
+            const batch = writeBatch(db);
+            batch.set(doc(paths.partners, partnerId), archive, { merge: true });
+            addAuditEntry(batch, 'partner', partnerId, 'delete', before, { ...before, ...archive });
+            await commitWrite(batch);
+            closeModal();
+            showToast(`Income moved to ${partners.find(p => p.id === targetPartnerId)?.name || 'the new partner'}`);
+        } catch (e) {
+            console.error("Error reassigning partner income: ", e);
+            throw e;
+        }
+    };
+
+    // Mark an invoice as sent once it has been generated
+    const handleMarkInvoiceSent = async (incomeId, { invoiceIssueDate, invoiceDueDate, invoiceTotal }) => {
+        if (!paths || !can('income:write')) return;
+        try {
+            const before = incomeData.find(i => i.id === incomeId) || {};
+            const after = withInvoiceStatus({ ...before, invoiceIssueDate, invoiceDueDate, invoiceTotal });
+            const batch = writeBatch(db);
+            batch.set(doc(paths.income, incomeId), {
+                invoiceIssueDate,
+                invoiceDueDate,
+                invoiceTotal,
+                invoiceStatus: after.invoiceStatus,
+            }, { merge: true });
+            addAuditEntry(batch, 'income', incomeId, 'update', before, after);
+            await commitWrite(batch);
+        } catch (e) {
+            console.error("Error marking invoice as sent: ", e);
+            throw e;
+        }
+    };
+
+    // Record (or remove) payments against an invoice; the status follows the amount paid
+    const handleSavePayments = async (incomeId, payments) => {
+        if (!paths || !can('payments:record')) return;
+        try {
+            const before = incomeData.find(i => i.id === incomeId) || {};
+            const after = withInvoiceStatus({ ...before, payments });
+            const batch = writeBatch(db);
+            batch.set(doc(paths.income, incomeId), { payments, invoiceStatus: after.invoiceStatus }, { merge: true });
+            addAuditEntry(batch, 'income', incomeId, 'update', before, after);
+            await commitWrite(batch);
+            showToast('Payments updated');
+        } catch (e) {
+            console.error("Error saving payments: ", e);
+            throw e;
+        }
+    };
+
+    // --- Import ---
+
+    // Import income rows, and any partners they need (those first), a chunk at a time. Each chunk is a
+    // transaction: an atomic batch that can also read the invoice counter. Rows that carry an existing
+    // invoice number keep it, reserved like any other, so the import fails if someone else has the number.
+    // Errors are left to the import wizard to display; savedCount says how many rows went in before it.
+    const handleImportIncome = async (rows, newPartners) => {
+        if (!paths || !can('income:write')) return;
+        if (newPartners.length > 0 && !can('partners:write')) return;
+        const now = new Date();
+        const newPartnerIds = Object.fromEntries(newPartners.map(({ key }) => [key, doc(paths.partners).id]));
+        const records = [...newPartners.map(partner => ({ partner })), ...rows.map(row => ({ row }))];
+
+        let savedCount = 0;
+        for (let i = 0; i < records.length; i += AUDITED_RECORDS_PER_COMMIT) {
+            const chunk = records.slice(i, i + AUDITED_RECORDS_PER_COMMIT);
+            const chunkRows = chunk.filter(record => record.row).map(record => record.row);
+            try {
+                await runTransaction(db, (transaction) => importIncomeChunk(transaction, chunk, chunkRows, newPartnerIds, now));
+            } catch (e) {
+                e.savedCount = savedCount;
+                throw e;
+            }
+            savedCount += chunkRows.length;
         }
     };
 
-    // Save Budget
-    const handleSaveBudget = async (month, type, value) => {
-        if (!paths) return;
+    // One chunk of an income import, inside its transaction
+    const importIncomeChunk = async (transaction, chunk, rows, newPartnerIds, now) => {
+        const { invoiceNumbers, reserve } = await allocateInvoiceNumbers(
+            transaction,
+            rows.filter(row => !row.invoiceNumber).length,
+            now,
+            rows.filter(row => row.invoiceNumber).map(row => row.invoiceNumber)
+        );
+
+        chunk.filter(record => record.partner).forEach(({ partner: { key, ...partner } }) => {
+            transaction.set(doc(paths.partners, newPartnerIds[key]), partner);
+            addAuditEntry(transaction, 'partner', newPartnerIds[key], 'create', {}, partner);
+        });
+
+        const numberedIncomeIds = [];
+        const existingNumberIncomeIds = [];
+        rows.forEach(({ newPartnerKey, ...row }) => {
+            const incomeRef = doc(paths.income);
+            const newIncome = {
+                ...row,
+                partnerId: row.partnerId || newPartnerIds[newPartnerKey],
+                status: 'submitted', // Imported entries still go through approval
+                createdBy: userId,
+                submittedBy: userId,
+                submittedAt: now.toISOString(),
+                invoiceNumber: row.invoiceNumber || invoiceNumbers[numberedIncomeIds.length],
+                createdAt: now.toISOString(),
+            };
+            (row.invoiceNumber ? existingNumberIncomeIds : numberedIncomeIds).push(incomeRef.id);
+            transaction.set(incomeRef, newIncome);
+            addAuditEntry(transaction, 'income', incomeRef.id, 'create', {}, newIncome);
+        });
+        reserve(numberedIncomeIds, existingNumberIncomeIds);
+    };
+
+    // Import budget rows into a version, overwriting the matching month/type cells
+    const handleImportBudgets = async (rows, versionId = ORIGINAL_BUDGET_VERSION.id) => {
+        if (!paths || !can('budgets:write')) return;
+        if (budgetVersions.find(v => v.id === versionId)?.locked) {
+            throw new Error(`Budget version ${versionId} is locked`);
+        }
+        await commitInChunks(rows, (batch, row) => {
+            const budget = { ...row, versionId };
+            const docId = getBudgetDocId(versionId, budget.month, budget.type, incomeTypes, budgetData);
+            const before = budgetData.find(b => b.id === docId);
+            batch.set(doc(paths.budgets, docId), budget, { merge: true });
+            addAuditEntry(batch, 'budget', docId, before ? 'update' : 'create', before || {}, { ...before, ...budget });
+        });
+    };
+
+    // --- Trash ---
+    const getTrashSource = (entityType) => (
+        entityType === 'income'
+            ? { collectionRef: paths.income, records: incomeData }
+            : { collectionRef: paths.partners, records: partners }
+    );
+
+    // Restore an archived income entry or partner
+    const handleRestore = async (entityType, id) => {
+        if (!paths || !can('trash:manage')) return;
+        try {
+            const { collectionRef, records } = getTrashSource(entityType);
+            const before = records.find(r => r.id === id) || {};
+            const restore = { archived: false, deletedBy: null, deletedAt: null };
+            const batch = writeBatch(db);
+            batch.set(doc(collectionRef, id), restore, { merge: true });
+            addAuditEntry(batch, entityType, id, 'restore', before, { ...before, ...restore });
+            await commitWrite(batch);
+            showToast(entityType === 'income' ? 'Entry restored' : 'Partner restored');
+        } catch (e) {
+            console.error("Error restoring record: ", e);
+            showError('The record could not be restored.', e, () => handleRestore(entityType, id));
+        }
+    };
+
+    // Permanently delete an archived income entry or partner
+    const handlePurge = async (entityType, id) => {
+        if (!paths || !can('trash:manage')) return;
+        try {
+            const { collectionRef, records } = getTrashSource(entityType);
+            const before = records.find(r => r.id === id) || {};
+            const batch = writeBatch(db);
+            batch.delete(doc(collectionRef, id));
+            addAuditEntry(batch, entityType, id, 'purge', before, {});
+            await commitWrite(batch);
+            showToast('Record deleted permanently');
+        } catch (e) {
+            console.error("Error purging record: ", e);
+            showError('The record could not be deleted.', e, () => handlePurge(entityType, id));
+        }
+    };
+
+    // Save Budgets: every edited cell of the grid, in chunks. Saving a cell again is harmless, so
+    // errors are left to the budget grid, which keeps the edits and displays them.
+    const handleSaveBudgets = async (changes) => {
+        if (!paths || !can('budgets:write') || selectedBudgetVersion.locked) return;
+        // Use a composite ID to ensure one budget entry per version/month/type
+        const versionId = selectedBudgetVersion.id;
+        const rows = changes
+            .map(({ month, type, value }) => {
+                const docId = getBudgetDocId(versionId, month, type, incomeTypes, budgetData);
+                const budget = {
+                    month, // e.g., "2025-10"
+                    type,  // e.g., "Procurement Income"
+                    versionId,
+                    value: parseFloat(value) || 0
+                };
+                return { docId, budget, before: budgetData.find(b => b.id === docId) };
+            })
+            // Skip cells edited back to their saved value, so they don't add audit noise
+            .filter(({ budget, before }) => !before || diffFields(before, { ...before, ...budget }).length > 0);
+        await commitInChunks(rows, (batch, { docId, budget, before }) => {
+            batch.set(doc(paths.budgets, docId), budget, { merge: true });
+            addAuditEntry(batch, 'budget', docId, before ? 'update' : 'create', before || {}, { ...before, ...budget });
+        });
+        showToast('Budgets saved');
+    };
+
+    // Create a budget version, optionally as a copy of every row in another version. The version comes
+    // first, flagged as copying until its rows are in, so a copy that fails part way can be finished later.
+    const handleCreateBudgetVersion = async ({ name, copyFromId }) => {
+        if (!paths || !can('budgets:write')) return;
+        const versionRef = doc(paths.budgetVersions);
+        const version = {
+            name,
+            locked: false,
+            copiedFrom: copyFromId || null,
+            copying: !!copyFromId,
+            createdBy: userId,
+            createdAt: new Date().toISOString(),
+        };
+        try {
+            const batch = writeBatch(db);
+            batch.set(versionRef, version);
+            addAuditEntry(batch, 'budgetVersion', versionRef.id, 'create', {}, version);
+            await commitWrite(batch);
+            setBudgetVersionId(versionRef.id);
+            closeModal();
+        } catch (e) {
+            console.error("Error creating budget version: ", e);
+            throw e;
+        }
+        if (copyFromId) await handleCopyBudgetVersionRows({ id: versionRef.id, ...version });
+        else showToast(`Budget version ${name} created`);
+    };
+
+    // Copy the source version's rows into a new version, then clear its copying flag. Rows that are
+    // already there are skipped, so this also finishes a copy that failed part way.
+    const handleCopyBudgetVersionRows = async (version) => {
+        if (!paths || !can('budgets:write')) return;
+        setCopyingVersionId(version.id);
+        try {
+            const copied = new Set(budgetData.filter(b => getBudgetVersionId(b) === version.id).map(b => `${b.month}|${b.type}`));
+            const sourceRows = budgetData.filter(b => (
+                getBudgetVersionId(b) === version.copiedFrom && !copied.has(`${b.month}|${b.type}`)
+            ));
+            await commitInChunks(sourceRows, (batch, { id, ...budget }) => {
+                const docId = getBudgetDocId(version.id, budget.month, budget.type, incomeTypes, budgetData);
+                const row = { ...budget, versionId: version.id };
+                batch.set(doc(paths.budgets, docId), row);
+                addAuditEntry(batch, 'budget', docId, 'create', {}, row);
+            });
+
+            const batch = writeBatch(db);
+            batch.set(doc(paths.budgetVersions, version.id), { copying: false }, { merge: true });
+            addAuditEntry(batch, 'budgetVersion', version.id, 'update', version, { ...version, copying: false });
+            await commitWrite(batch);
+            showToast(`Budget version ${version.name} created`);
+        } catch (e) {
+            console.error("Error copying budget version: ", e);
+            showError(`Not every budget row was copied into ${version.name}. Use Finish Copying to try again.`, e);
+        } finally {
+            setCopyingVersionId(null);
+        }
+    };
+
+    // Lock an approved budget version against edits, or unlock it again
+    const handleSetBudgetVersionLocked = async (versionId, locked) => {
+        if (!paths || !can('budgets:lock')) return;
+        try {
+            const before = budgetVersions.find(v => v.id === versionId) || {};
+            const changes = {
+                name: before.name, // The Original version only gets a document once it is first locked
+                locked,
+                lockedBy: locked ? userId : null,
+                lockedAt: locked ? new Date().toISOString() : null,
+            };
+            const batch = writeBatch(db);
+            batch.set(doc(paths.budgetVersions, versionId), changes, { merge: true });
+            addAuditEntry(batch, 'budgetVersion', versionId, locked ? 'lock' : 'unlock', before, { ...before, ...changes });
+            await commitWrite(batch);
+            showToast(`${before.name} ${locked ? 'locked' : 'unlocked'}`);
+        } catch (e) {
+            console.error("Error locking budget version: ", e);
+            showError(`The version could not be ${locked ? 'locked' : 'unlocked'}.`, e, () => handleSetBudgetVersionLocked(versionId, locked));
+        }
+    };
+
+    // Save Settings
+    const handleSaveSettings = async (changes) => {
+        if (!paths || !can('settings:write')) return;
+        try {
+            await setDoc(paths.settings, changes, { merge: true });
+            showToast('Settings saved');
+        } catch (e) {
+            console.error("Error saving settings: ", e);
+            showError('The settings could not be saved.', e, () => handleSaveSettings(changes));
+        }
+    };
+
+    // Save Income Type. The default types only exist in code until the first save, which stores them too.
+    const handleSaveIncomeType = async (incomeType) => {
+        if (!paths || !can('settings:write')) return;
+        try {
+            const batch = writeBatch(db);
+            if (incomeTypeDocs.length === 0) {
+                DEFAULT_INCOME_TYPES.filter(t => t.id !== incomeType.id).forEach(({ id, ...type }) => {
+                    batch.set(doc(paths.incomeTypes, id), type);
+                    addAuditEntry(batch, 'incomeType', id, 'create', {}, type);
+                });
+            }
+            const { id, ...type } = incomeType;
+            if (id) {
+                // Update
+                const before = incomeTypes.find(t => t.id === id) || {};
+                batch.set(doc(paths.incomeTypes, id), type, { merge: true });
+                addAuditEntry(batch, 'incomeType', id, 'update', before, { ...before, ...type });
+            } else {
+                // Create
+                const docRef = doc(paths.incomeTypes);
+                const newType = { ...type, order: Math.max(-1, ...incomeTypes.map(t => t.order ?? 0)) + 1 };
+                batch.set(docRef, newType);
+                addAuditEntry(batch, 'incomeType', docRef.id, 'create', {}, newType);
+            }
+            await commitWrite(batch);
+            closeModal();
+            showToast(`Income type ${type.name || incomeTypes.find(t => t.id === id)?.name} saved`);
+        } catch (e) {
+            console.error("Error saving income type: ", e);
+            throw e;
+        }
+    };
+
+    // --- Exchange Rates ---
+    // One rate per currency pair and date: saving the same pair and date again replaces it.
+    // Errors are left to the caller (the import wizard displays them).
+    const handleImportExchangeRates = async (rates) => {
+        if (!paths || !can('rates:write')) return;
+        await commitInChunks(rates, (batch, rate) => {
+            const rateId = `${rate.currency}-${rate.baseCurrency}-${rate.date}`;
+            const before = exchangeRates.find(r => r.id === rateId);
+            batch.set(doc(paths.exchangeRates, rateId), rate);
+            addAuditEntry(batch, 'exchangeRate', rateId, before ? 'update' : 'create', before || {}, rate);
+        });
+    };
+
+    const handleSaveExchangeRate = async (rate) => {
+        try {
+            await handleImportExchangeRates([rate]);
+            showToast(`${rate.currency}/${rate.baseCurrency} rate saved`);
+        } catch (e) {
+            console.error("Error saving exchange rate: ", e);
+            throw e;
+        }
+    };
+
+    const handleDeleteExchangeRate = async (rateId) => {
+        if (!paths || !can('rates:write')) return;
+        try {
+            const before = exchangeRates.find(r => r.id === rateId) || {};
+            const batch = writeBatch(db);
+            batch.delete(doc(paths.exchangeRates, rateId));
+            addAuditEntry(batch, 'exchangeRate', rateId, 'delete', before, {});
+            await commitWrite(batch);
+            showToast('Exchange rate deleted');
+        } catch (e) {
+            console.error("Error deleting exchange rate: ", e);
+            showError('The exchange rate could not be deleted.', e, () => handleDeleteExchangeRate(rateId));
+        }
+    };
+
+    // Update a user's role
+    const handleSaveUserRole = async (uid, newRole) => {
+        if (!paths || !can('users:manage')) return;
+        try {
+            await setDoc(doc(paths.users, uid), { role: newRole }, { merge: true });
+            showToast('Role updated');
+        } catch (e) {
+            console.error("Error saving user role: ", e);
+            showError('The role could not be changed.', e, () => handleSaveUserRole(uid, newRole));
+        }
+    };
+
+    // Save the signed-in user's own preferences (notification events and read marker)
+    const handleSavePreferences = async (changes) => {
+        if (!paths || !userId) return;
         try {
-            // Use a composite ID to ensure one budget entry per month/type
-            const docId = `${month}-${type.replace(/ /g, '')}`; // Make ID filesystem safe
-            const docRef = doc(paths.budgets, docId);
-            await setDoc(docRef, {
-                month, // e.g., "2025-10"
-                type,  // e.g., "Procurement Income"
-                value: parseFloat(value) || 0
-            }, { merge: true }); // Use merge to be safe
+            await setDoc(doc(paths.userPreferences, userId), changes, { merge: true });
         } catch (e) {
-            console.error("Error saving budget: ", e);
+            console.error("Error saving preferences: ", e);
+            showError('Your preferences could not be saved.', e, () => handleSavePreferences(changes));
+        }
+    };
+
+    // --- Auth Handlers ---
+    const handleSignOut = async () => {
+        try {
+            await signOut(auth);
+            setView('dashboard');
+        } catch (e) {
+            console.error("Error signing out: ", e);
+            showError('Could not sign out.', e, handleSignOut);
         }
     };
 
@@ -289,10 +2088,101 @@ export default function App() {
         setModalType('');
     };
 
+    // Ask for confirmation before running a destructive action
+    const requestConfirm = ({ title, message, confirmLabel, onConfirm }) => {
+        openModal('confirm', { title, message, confirmLabel, onConfirm });
+    };
+
+    const confirmDeleteIncome = (incomeId) => {
+        const item = incomeData.find(i => i.id === incomeId);
+        requestConfirm({
+            title: 'Delete Income Entry',
+            message: `Move ${item?.invoiceNumber || 'this entry'} to the Trash? An admin can restore it later.`,
+            confirmLabel: 'Delete',
+            onConfirm: () => handleDeleteIncome(incomeId),
+        });
+    };
+
+    const confirmDeleteOpportunity = (opportunityId) => {
+        const opportunity = opportunities.find(o => o.id === opportunityId);
+        requestConfirm({
+            title: 'Delete Opportunity',
+            message: `Delete ${opportunity?.name || 'this opportunity'}? To keep a record of deals that fell through, mark them as Lost instead.`,
+            confirmLabel: 'Delete',
+            onConfirm: () => handleDeleteOpportunity(opportunityId),
+        });
+    };
+
+    const confirmReopenIncome = (incomeId) => {
+        requestConfirm({
+            title: 'Reopen Posted Entry',
+            message: `Reopen ${getEntryLabel(incomeId)} for correction? It goes back to draft and has to be submitted and approved again.`,
+            confirmLabel: 'Reopen',
+            onConfirm: () => handleReopenIncome(incomeId),
+        });
+    };
+
+    const confirmDeleteExchangeRate = (rateId) => {
+        const rate = exchangeRates.find(r => r.id === rateId);
+        requestConfirm({
+            title: 'Delete Exchange Rate',
+            message: `Delete the ${rate?.currency}/${rate?.baseCurrency} rate for ${rate?.date}? Reports will fall back to the nearest other rate.`,
+            confirmLabel: 'Delete',
+            onConfirm: () => handleDeleteExchangeRate(rateId),
+        });
+    };
+
+    const confirmDeletePartner = (partnerId) => {
+        const partner = partners.find(p => p.id === partnerId);
+        // Partners with linked income must be reassigned or made inactive instead
+        if (getLinkedIncome(partnerId).length > 0) {
+            openModal('reassignPartner', { partner });
+            return;
+        }
+        requestConfirm({
+            title: 'Delete Partner',
+            message: `Move ${partner?.name || 'this partner'} to the Trash? An admin can restore it later.`,
+            confirmLabel: 'Delete',
+            onConfirm: () => handleDeletePartner(partnerId),
+        });
+    };
+
+    const confirmPurge = (entityType, id) => {
+        const linkedCount = entityType === 'partner' ? getLinkedIncome(id).length : 0;
+        if (linkedCount > 0) {
+            requestConfirm({
+                title: 'Partner Has Linked Income',
+                message: `${linkedCount} income ${linkedCount === 1 ? 'entry still refers' : 'entries still refer'} to this partner. Restore it and reassign the income before deleting it permanently.`,
+            });
+            return;
+        }
+        requestConfirm({
+            title: 'Delete Permanently',
+            message: 'This record will be permanently deleted and cannot be restored. Its audit history is kept.',
+            confirmLabel: 'Delete Permanently',
+            onConfirm: () => handlePurge(entityType, id),
+        });
+    };
+
     if (!isAuthReady || !db || !auth) {
         return (
-            <div className="flex items-center justify-center min-h-screen bg-gray-100">
+            <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100">
                 <div className="text-lg font-medium text-gray-700">Loading Commercial Tracker...</div>
+                {!isOnline && (
+                    <div className="mt-2 text-sm text-gray-500">You're offline. If you've signed in on this device before, the app will open from its saved copy.</div>
+                )}
+            </div>
+        );
+    }
+
+    if (!userId) {
+        return <LoginView auth={auth} />;
+    }
+
+    if (!userProfile) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-100">
+                <div className="text-lg font-medium text-gray-700">Loading your profile...</div>
             </div>
         );
     }
@@ -300,46 +2190,201 @@ export default function App() {
     return (
         <div className="flex h-screen bg-gray-100 font-inter">
             {/* Sidebar Navigation */}
-            <Sidebar view={view} setView={setView} />
+            <Sidebar
+                view={view}
+                setView={(next) => { setProfilePartnerId(null); setView(next); }}
+                can={can}
+                approvalCount={approvalCount}
+            />
 
             {/* Main Content Area */}
             <div className="flex-1 flex flex-col overflow-hidden">
                 {/* Top Header */}
-                <Header userId={userId} />
-
-                {/* Notification Banner */}
-                {notification && (
-                    <NotificationBanner
-                        message={notification}
-                        onDismiss={() => setNotification(null)}
+                <Header
+                    userProfile={userProfile}
+                    onSignOut={handleSignOut}
+                    financialYear={financialYear}
+                    fyStartMonth={fyStartMonth}
+                    onFinancialYearChange={setSelectedFinancialYear}
+                    isOnline={isOnline}
+                    pendingWrites={pendingWrites}
+                >
+                    <NotificationCentre
+                        notifications={notifications}
+                        incomeData={incomeData}
+                        users={users}
+                        preferences={preferences}
+                        onMarkAllRead={() => handleSavePreferences({ notificationsReadAt: recentAudit[0]?.timestamp || new Date().toISOString() })}
+                        onSavePreferences={handleSavePreferences}
+                        onOpen={(entry) => openModal('history', { entityType: 'income', entityId: entry.entityId })}
                     />
-                )}
+                </Header>
+
 
                 {/* Page Content */}
                 <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-100 p-6 md:p-8">
-                    {view === 'dashboard' && <DashboardView incomeData={incomeData} budgetData={budgetData} />}
+                    {view === 'dashboard' && (
+                        <DashboardView
+                            incomeData={activeIncome}
+                            budgetData={budgetData}
+                            budgetVersions={budgetVersions}
+                            incomeTypes={incomeTypes}
+                            partners={partners}
+                            opportunities={opportunities}
+                            exchangeRates={exchangeRates}
+                            baseCurrency={baseCurrency}
+                            financialYear={financialYear}
+                            fyStartMonth={fyStartMonth}
+                            can={can}
+                            onOpenPartner={(partnerId) => { setProfilePartnerId(partnerId); setView('partners'); }}
+                            onEditIncome={(item) => openModal('income', item)}
+                            onOpenIncome={openIncomeInManager}
+                        />
+                    )}
                     {view === 'income' && (
                         <IncomeManagementView
-                            incomeData={incomeData}
+                            incomeData={activeIncome}
                             partners={partners}
+                            incomeTypes={incomeTypes}
+                            can={can}
+                            currentUserId={userId}
                             onAdd={() => openModal('income')}
                             onEdit={(item) => openModal('income', item)}
-                            onDelete={handleDeleteIncome}
-                            onValidate={handleValidateIncome}
+                            onShowHistory={(item) => openModal('history', { entityType: 'income', entityId: item.id })}
+                            onGenerateInvoice={(item) => openModal('invoice', item)}
+                            onImport={() => openModal('import', { target: 'income' })}
+                            onRecordPayment={(item) => openModal('payment', item)}
+                            onDelete={confirmDeleteIncome}
+                            onSubmit={handleSubmitIncome}
+                            onApprove={handleApproveIncome}
+                            onReject={(item) => openModal('reject', item)}
+                            onPost={handlePostIncome}
+                            onReopen={confirmReopenIncome}
                         />
                     )}
-                    {view === 'budgets' && (
+                    {view === 'pipeline' && (
+                        <PipelineView
+                            opportunities={opportunities}
+                            incomeData={incomeData}
+                            partners={partners}
+                            exchangeRates={exchangeRates}
+                            baseCurrency={baseCurrency}
+                            canEdit={can('pipeline:write')}
+                            canConvert={can('pipeline:write') && can('income:write')}
+                            onAdd={() => openModal('opportunity')}
+                            onEdit={(item) => openModal('opportunity', item)}
+                            onDelete={confirmDeleteOpportunity}
+                            onConvert={convertOpportunity}
+                            onShowHistory={(item) => openModal('history', { entityType: 'opportunity', entityId: item.id })}
+                        />
+                    )}
+                    {view === 'approvals' && can('income:validate') && (
+                        <ApprovalsView
+                            incomeData={activeIncome}
+                            partners={partners}
+                            users={users}
+                            currentUserId={userId}
+                            autoPost={approvalAutoPost}
+                            onApprove={handleApproveIncome}
+                            onReject={(item) => openModal('reject', item)}
+                            onPost={handlePostIncome}
+                            onEdit={(item) => openModal('income', item)}
+                            onShowHistory={(item) => openModal('history', { entityType: 'income', entityId: item.id })}
+                        />
+                    )}
+                    {view === 'receivables' && (
+                        <ReceivablesView
+                            incomeData={activeIncome}
+                            partners={partners}
+                            exchangeRates={exchangeRates}
+                            baseCurrency={baseCurrency}
+                            canRecordPayments={can('payments:record')}
+                            onRecordPayment={(item) => openModal('payment', item)}
+                        />
+                    )}
+                    {view === 'budgets' && (
                          <BudgetManagementView
-                            budgetData={budgetData}
-                            onSaveBudget={handleSaveBudget}
+                            key={selectedBudgetVersion.id} // Drop unsaved cell edits when switching version
+                            budgetData={selectedVersionBudgets}
+                            budgetVersions={budgetVersions}
+                            selectedVersion={selectedBudgetVersion}
+                            onSelectVersion={setBudgetVersionId}
+                            onAddVersion={() => openModal('budgetVersion')}
+                            canLock={can('budgets:lock')}
+                            onSetVersionLocked={handleSetBudgetVersionLocked}
+                            incomeTypes={incomeTypes}
+                            financialYear={financialYear}
+                            fyStartMonth={fyStartMonth}
+                            baseCurrency={baseCurrency}
+                            readOnly={!can('budgets:write') || !!selectedBudgetVersion.locked || !!selectedBudgetVersion.copying}
+                            canAddVersion={can('budgets:write')}
+                            isCopying={copyingVersionId === selectedBudgetVersion.id}
+                            onFinishCopy={() => handleCopyBudgetVersionRows(selectedBudgetVersion)}
+                            incomeData={activeIncome}
+                            exchangeRates={exchangeRates}
+                            onSaveBudgets={handleSaveBudgets}
+                            onImport={() => openModal('import', { target: 'budgets', versionId: selectedBudgetVersion.id })}
+                        />
+                    )}
+                    {view === 'partners' && profilePartner && (
+                        <PartnerProfileView
+                            partner={profilePartner}
+                            incomeData={activeIncome}
+                            exchangeRates={exchangeRates}
+                            baseCurrency={baseCurrency}
+                            financialYear={financialYear}
+                            fyStartMonth={fyStartMonth}
+                            can={can}
+                            onBack={() => setProfilePartnerId(null)}
+                            onEdit={(item) => openModal('partner', item)}
+                            onShowHistory={(item) => openModal('history', { entityType: 'partner', entityId: item.id })}
+                            onEditIncome={(item) => openModal('income', item)}
+                            onShowIncomeHistory={(item) => openModal('history', { entityType: 'income', entityId: item.id })}
                         />
                     )}
-                    {view === 'partners' && (
+                    {view === 'partners' && !profilePartner && (
                         <PartnerManagementView
-                            partners={partners}
+                            partners={activePartners}
+                            canEdit={can('partners:write')}
+                            onOpen={(item) => setProfilePartnerId(item.id)}
                             onAdd={(type) => openModal('partner', { type })}
                             onEdit={(item) => openModal('partner', item)}
-                            onDelete={handleDeletePartner}
+                            onDelete={confirmDeletePartner}
+                            onShowHistory={(item) => openModal('history', { entityType: 'partner', entityId: item.id })}
+                        />
+                    )}
+                    {view === 'trash' && can('trash:manage') && (
+                        <TrashView
+                            incomeData={incomeData}
+                            partners={partners}
+                            users={users}
+                            onRestore={handleRestore}
+                            onPurge={confirmPurge}
+                        />
+                    )}
+                    {view === 'settings' && (
+                        <SettingsView
+                            settings={settings}
+                            approvalAutoPost={approvalAutoPost}
+                            fyStartMonth={fyStartMonth}
+                            baseCurrency={baseCurrency}
+                            exchangeRates={exchangeRates}
+                            incomeTypes={incomeTypes}
+                            readOnly={!can('settings:write')}
+                            canEditRates={can('rates:write')}
+                            onSaveSettings={handleSaveSettings}
+                            onSaveExchangeRate={handleSaveExchangeRate}
+                            onDeleteExchangeRate={confirmDeleteExchangeRate}
+                            onImportExchangeRates={() => openModal('import', { target: 'exchangeRates' })}
+                            onAddIncomeType={() => openModal('incomeType')}
+                            onEditIncomeType={(type) => openModal('incomeType', type)}
+                        />
+                    )}
+                    {view === 'users' && can('users:manage') && (
+                        <UserManagementView
+                            users={users}
+                            currentUserId={userId}
+                            onSaveRole={handleSaveUserRole}
                         />
                     )}
                 </main>
@@ -347,16 +2392,41 @@ export default function App() {
 
             {/* Modal */}
             {showModal && (
-                <Modal onClose={closeModal} modalType={modalType} isEditing={!!editingItem}>
+                <Modal
+                    onClose={closeModal}
+                    modalType={modalType}
+                    isEditing={!!editingItem?.id}
+                    title={editingItem?.title}
+                    size={modalType === 'import' ? 'lg' : 'md'}
+                >
                     {modalType === 'income' && (
                         <IncomeForm
                             initialData={editingItem}
+                            incomeTypes={incomeTypes}
                             customers={getPartners('customer')}
                             suppliers={getPartners('supplier')}
+                            baseCurrency={baseCurrency}
                             onSave={handleSaveIncome}
                             onClose={closeModal}
                         />
                     )}
+                    {modalType === 'opportunity' && (
+                        <OpportunityForm
+                            initialData={editingItem}
+                            incomeTypes={incomeTypes}
+                            customers={getPartners('customer')}
+                            baseCurrency={baseCurrency}
+                            onSave={handleSaveOpportunity}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'reject' && (
+                        <RejectIncomeForm
+                            income={editingItem}
+                            onReject={(comment) => handleRejectIncome(editingItem.id, comment)}
+                            onClose={closeModal}
+                        />
+                    )}
                     {modalType === 'partner' && (
                         <PartnerForm
                             initialData={editingItem}
@@ -364,21 +2434,96 @@ export default function App() {
                             onClose={closeModal}
                         />
                     )}
+                    {modalType === 'incomeType' && (
+                        <IncomeTypeForm
+                            initialData={editingItem}
+                            incomeTypes={incomeTypes}
+                            onSave={handleSaveIncomeType}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'budgetVersion' && (
+                        <BudgetVersionForm
+                            budgetVersions={budgetVersions}
+                            initialCopyFromId={selectedBudgetVersion.id}
+                            onSave={handleCreateBudgetVersion}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'invoice' && (
+                        <InvoiceForm
+                            income={editingItem}
+                            partner={partners.find(p => p.id === editingItem.partnerId)}
+                            canMarkSent={can('income:validate') || (can('income:write') && ['draft', 'rejected'].includes(getIncomeStatus(editingItem)))}
+                            onMarkSent={(dates) => handleMarkInvoiceSent(editingItem.id, dates)}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'import' && (
+                        <ImportWizard
+                            target={editingItem.target}
+                            incomeData={incomeData}
+                            partners={activePartners}
+                            incomeTypes={incomeTypes}
+                            baseCurrency={baseCurrency}
+                            canCreatePartners={can('partners:write')}
+                            onImportIncome={handleImportIncome}
+                            onImportBudgets={(rows) => handleImportBudgets(rows, editingItem.versionId)}
+                            onImportExchangeRates={handleImportExchangeRates}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'payment' && (
+                        <PaymentForm
+                            income={incomeData.find(i => i.id === editingItem.id) || editingItem}
+                            userId={userId}
+                            onSave={(payments) => handleSavePayments(editingItem.id, payments)}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'confirm' && (
+                        <ConfirmDialog
+                            message={editingItem.message}
+                            confirmLabel={editingItem.confirmLabel}
+                            onConfirm={editingItem.onConfirm}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'reassignPartner' && (
+                        <ReassignPartnerForm
+                            partner={editingItem.partner}
+                            linkedCount={getLinkedIncome(editingItem.partner.id).length}
+                            targets={activePartners.filter(p => (
+                                p.type === editingItem.partner.type && p.id !== editingItem.partner.id && p.active !== false
+                            ))}
+                            onReassign={(targetId) => handleReassignPartner(editingItem.partner.id, targetId)}
+                            onDeactivate={() => handleSavePartner({ id: editingItem.partner.id, active: false })}
+                            onClose={closeModal}
+                        />
+                    )}
+                    {modalType === 'history' && (
+                        <HistoryPanel
+                            auditLog={paths.auditLog}
+                            entityType={editingItem.entityType}
+                            entityId={editingItem.entityId}
+                            partners={partners}
+                        />
+                    )}
                 </Modal>
             )}
+
+            {/* Toasts */}
+            <ToastStack toasts={toasts} onDismiss={dismissToast} />
         </div>
     );
 }
 
 // --- Sub-Components ---
 
-const Sidebar = ({ view, setView }) => {
-    const navItems = [
-        { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
-        { id: 'income', label: 'Income Manager', icon: DollarSign },
-        { id: 'budgets', label: 'Budget Manager', icon: Target },
-        { id: 'partners', label: 'Partners', icon: Users },
-    ];
+const Sidebar = ({ view, setView, can, approvalCount }) => {
+    const navItems = VIEWS
+        .filter(item => canOpenView(item.id, can))
+        .map(item => (item.id === 'approvals' ? { ...item, badge: approvalCount } : item));
 
     return (
         <nav className="w-20 md:w-64 bg-white shadow-lg">
@@ -412,38 +2557,225 @@ const SidebarItem = ({ item, isActive, onClick }) => (
         >
             <item.icon size={22} />
             <span className="hidden md:block ml-4 text-sm font-medium">{item.label}</span>
+            {item.badge > 0 && (
+                <span className="hidden md:inline-flex ml-auto mr-4 px-2 rounded-full bg-red-600 text-white text-xs font-semibold">{item.badge}</span>
+            )}
         </button>
     </li>
 );
 
-const Header = ({ userId }) => (
-    <header className="flex items-center justify-between h-20 px-6 bg-white border-b">
-        <h1 className="text-2xl font-semibold text-gray-800">Commercial Dashboard</h1>
-        <div className="flex items-center">
-            {userId && <span className="hidden sm:inline text-sm text-gray-600 mr-4">User ID: {userId}</span>}
-            <div className="w-10 h-10 rounded-full bg-blue-600 flex items-center justify-center text-white font-semibold">
-                AV
+const Header = ({ userProfile, onSignOut, financialYear, fyStartMonth, onFinancialYearChange, isOnline, pendingWrites, children }) => {
+    // Offer a few past years for history and the next year for early budgeting
+    const currentYear = getCurrentFinancialYear(fyStartMonth);
+    const yearOptions = [];
+    for (let year = currentYear + 1; year >= currentYear - 5; year--) {
+        yearOptions.push(year);
+    }
+    if (!yearOptions.includes(financialYear)) yearOptions.push(financialYear);
+
+    return (
+        <header className="flex items-center justify-between h-20 px-6 bg-white border-b">
+            <h1 className="text-2xl font-semibold text-gray-800">Commercial Dashboard</h1>
+            <div className="flex items-center">
+                <SyncStatus isOnline={isOnline} pendingWrites={pendingWrites} />
+                {children}
+                <div className="flex items-center mr-4 text-gray-600">
+                    <Calendar size={18} className="mr-2" />
+                    <select
+                        value={financialYear}
+                        onChange={(e) => onFinancialYearChange(parseInt(e.target.value, 10))}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        title={getFinancialYearLabel(financialYear, fyStartMonth)}
+                    >
+                        {yearOptions.map(year => (
+                            <option key={year} value={year}>{getFinancialYearShortLabel(year, fyStartMonth)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="hidden sm:block text-right mr-4">
+                    <div className="text-sm text-gray-800">{userProfile.displayName || userProfile.email}</div>
+                    <div className="text-xs text-gray-500">{ROLES.find(r => r.value === userProfile.role)?.label || 'Viewer'}</div>
+                </div>
+                <div className="w-10 h-10 rounded-full bg-blue-600 flex items-center justify-center text-white font-semibold uppercase">
+                    {(userProfile.displayName || userProfile.email || 'AV').substring(0, 2)}
+                </div>
+                <IconButton onClick={onSignOut} icon={LogOut} className="ml-3 text-gray-500 hover:text-gray-800" title="Sign out" />
+            </div>
+        </header>
+    );
+};
+
+// --- Notification Centre ---
+// Bell with an unread count; opens the recent history and the user's choice of events
+const NotificationCentre = ({ notifications, incomeData, users, preferences, onMarkAllRead, onSavePreferences, onOpen }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [showPreferences, setShowPreferences] = useState(false);
+    const containerRef = useRef(null);
+    const unreadCount = notifications.filter(n => n.unread).length;
+    const enabled = preferences.notificationEvents || {};
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const describe = (entry) => {
+        const who = users.find(u => u.id === entry.userId)?.displayName || entry.userEmail || 'Someone';
+        const verb = NOTIFICATION_EVENTS.find(event => event.action === entry.action)?.verb || entry.action;
+        const item = incomeData.find(i => i.id === entry.entityId);
+        return {
+            title: `${who} ${verb} ${item?.invoiceNumber || 'an income entry'}`,
+            detail: item
+                ? `${item.incomeType} · ${formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}`
+                : 'No longer available',
+        };
+    };
+
+    return (
+        <div className="relative mr-4" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="relative p-2 rounded-full text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                title="Notifications"
+            >
+                <Bell size={20} />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+                        {unreadCount > 9 ? '9+' : unreadCount}
+                    </span>
+                )}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border z-40">
+                    <div className="flex items-center justify-between px-4 py-3 border-b">
+                        <span className="font-semibold text-gray-800">Notifications</span>
+                        <div className="flex items-center space-x-3 text-sm">
+                            {unreadCount > 0 && (
+                                <button onClick={onMarkAllRead} className="text-blue-600 hover:underline">Mark all read</button>
+                            )}
+                            <IconButton
+                                onClick={() => setShowPreferences(show => !show)}
+                                icon={Settings}
+                                className={showPreferences ? 'text-blue-600' : 'text-gray-500 hover:text-gray-800'}
+                                title="Choose notifications"
+                            />
+                        </div>
+                    </div>
+                    {showPreferences && (
+                        <div className="px-4 py-3 border-b bg-gray-50 space-y-2">
+                            <div className="text-xs font-medium text-gray-500 uppercase">Notify me when others...</div>
+                            {NOTIFICATION_EVENTS.map(event => (
+                                <label key={event.action} className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        className="mr-2"
+                                        checked={enabled[event.action] !== false}
+                                        onChange={(e) => onSavePreferences({ notificationEvents: { [event.action]: e.target.checked } })}
+                                    />
+                                    {event.label}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        {notifications.length === 0 && (
+                            <li className="px-4 py-8 text-center text-sm text-gray-500">Nothing new from your colleagues.</li>
+                        )}
+                        {notifications.map(entry => {
+                            const { title, detail } = describe(entry);
+                            return (
+                                <li key={entry.id}>
+                                    <button
+                                        onClick={() => { setIsOpen(false); onOpen(entry); }}
+                                        className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${entry.unread ? 'bg-blue-50' : ''}`}
+                                    >
+                                        <div className="flex items-start justify-between">
+                                            <span className={`text-sm ${entry.unread ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>{title}</span>
+                                            {entry.unread && <span className="ml-2 mt-1.5 w-2 h-2 rounded-full bg-blue-600 flex-shrink-0" />}
+                                        </div>
+                                        <div className="text-xs text-gray-500 mt-0.5">{detail}</div>
+                                        <div className="text-xs text-gray-400 mt-0.5">{new Date(entry.timestamp).toLocaleString()}</div>
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Offline, or changes still waiting for the server
+const SyncStatus = ({ isOnline, pendingWrites }) => {
+    const waiting = `${pendingWrites} ${pendingWrites === 1 ? 'change' : 'changes'} waiting to sync`;
+    if (!isOnline) {
+        return (
+            <div className="flex items-center mr-4 px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800" title="Changes are saved on this device and sync when you reconnect">
+                <CloudOff size={14} className="mr-1" />
+                Offline{pendingWrites > 0 && ` · ${waiting}`}
+            </div>
+        );
+    }
+    if (pendingWrites > 0) {
+        return (
+            <div className="flex items-center mr-4 px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                <RefreshCw size={14} className="mr-1 animate-spin" />
+                {waiting}
             </div>
+        );
+    }
+    return (
+        <div className="flex items-center mr-4 text-xs text-gray-500" title="All changes are saved">
+            <Cloud size={14} className="mr-1" />
+            Synced
         </div>
-    </header>
+    );
+};
+
+// --- Toasts ---
+const TOAST_STYLES = {
+    success: { icon: CheckCircle, className: 'bg-green-50 border-green-500 text-green-800' },
+    info: { icon: Bell, className: 'bg-blue-50 border-blue-500 text-blue-800' },
+    error: { icon: AlertCircle, className: 'bg-red-50 border-red-500 text-red-800' },
+};
+
+const ToastStack = ({ toasts, onDismiss }) => (
+    <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2">
+        {toasts.map(toast => <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />)}
+    </div>
 );
 
-const NotificationBanner = ({ message, onDismiss }) => {
+// Errors stay until dismissed (or retried); everything else goes after 5 seconds
+const Toast = ({ toast, onDismiss }) => {
     useEffect(() => {
-        const timer = setTimeout(() => {
-            onDismiss();
-        }, 5000); // Auto-dismiss after 5 seconds
+        if (toast.type === 'error') return undefined;
+        const timer = setTimeout(() => onDismiss(toast.id), 5000);
         return () => clearTimeout(timer);
-    }, [onDismiss]);
+    }, [toast, onDismiss]);
 
+    const { icon: Icon, className } = TOAST_STYLES[toast.type] || TOAST_STYLES.info;
     return (
-        <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4 flex justify-between items-center">
-            <div className="flex items-center">
-                <Bell size={20} className="mr-3" />
-                <span className="font-medium">{message}</span>
+        <div className={`border-l-4 rounded-md shadow-lg p-3 flex items-start ${className}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+            <Icon size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+            <div className="flex-1 text-sm">
+                <div className="font-medium">{toast.message}</div>
+                {toast.onRetry && (
+                    <button
+                        onClick={() => { onDismiss(toast.id); toast.onRetry(); }}
+                        className="mt-1 font-semibold underline hover:no-underline"
+                    >
+                        Retry
+                    </button>
+                )}
             </div>
-            <button onClick={onDismiss} className="text-green-700 hover:text-green-900">
-                <X size={20} />
+            <button onClick={() => onDismiss(toast.id)} className="ml-2 opacity-70 hover:opacity-100" title="Dismiss">
+                <X size={16} />
             </button>
         </div>
     );
@@ -452,166 +2784,876 @@ const NotificationBanner = ({ message, onDismiss }) => {
 // --- Page View Components ---
 
 // --- Dashboard View ---
-const DashboardView = ({ incomeData, budgetData }) => {
-    // Target date range
-    const startDate = new Date('2025-10-01T00:00:00Z');
-    const endDate = new Date('2026-09-30T23:59:59Z');
-
-    // Generate month keys for the period
-    const months = useMemo(() => {
-        let arr = [];
-        let currentDate = new Date(startDate);
-        while (currentDate <= endDate) {
-            arr.push(currentDate.toISOString().substring(0, 7)); // "YYYY-MM"
-            currentDate.setUTCMonth(currentDate.getUTCMonth() + 1);
-        }
-        return arr;
-    }, [startDate, endDate]);
+const DashboardView = ({
+    incomeData, budgetData, budgetVersions, incomeTypes, partners, opportunities, exchangeRates, baseCurrency, financialYear, fyStartMonth,
+    can, onOpenPartner, onEditIncome, onOpenIncome
+}) => {
+    // Generate month keys for the selected financial year
+    const months = useMemo(() => (
+        getFinancialYearMonths(financialYear, fyStartMonth).map(month => month.key) // "YYYY-MM"
+    ), [financialYear, fyStartMonth]);
+
+    // Budget versions plotted against actuals. Until the user picks, show the Original and the latest version.
+    const [pickedVersionIds, setPickedVersionIds] = useState(null);
+    const shownVersions = useMemo(() => budgetVersions.filter(v => (
+        pickedVersionIds
+            ? pickedVersionIds.includes(v.id)
+            : v.id === ORIGINAL_BUDGET_VERSION.id || v.id === budgetVersions[budgetVersions.length - 1].id
+    )), [budgetVersions, pickedVersionIds]);
+    // KPIs and variance compare against the first version shown
+    const primaryVersion = shownVersions[0];
+    const toggleVersion = (versionId) => {
+        const current = shownVersions.map(v => v.id);
+        setPickedVersionIds(current.includes(versionId) ? current.filter(id => id !== versionId) : [...current, versionId]);
+    };
+    const versionColour = (versionId) => (
+        BUDGET_VERSION_COLOURS[budgetVersions.findIndex(v => v.id === versionId) % BUDGET_VERSION_COLOURS.length]
+    );
 
     // Filter and process data
     const processedData = useMemo(() => {
-        const filteredIncome = incomeData
-            .filter(item => {
-                if (!item.agreementStartDate) return false;
-                const itemDate = new Date(item.agreementStartDate);
-                return itemDate >= startDate && itemDate <= endDate && item.status === 'posted';
+        // Posted income recognised in this year's months, one row per entry and month, in the base currency.
+        // Last year's monthly totals come along for the same-month comparisons.
+        const priorMonths = getFinancialYearMonths(financialYear - 1, fyStartMonth).map(month => month.key);
+        const priorIncomeByMonth = {};
+        let missingRateCount = 0;
+        const recognisedIncome = incomeData
+            .filter(item => item.status === 'posted')
+            .flatMap(item => {
+                const { amounts, missingMonths } = getRecognisedBaseAmounts(item, exchangeRates, baseCurrency);
+                if (missingMonths.some(month => months.includes(month))) missingRateCount++;
+                Object.entries(amounts)
+                    .filter(([month]) => priorMonths.includes(month))
+                    .forEach(([month, amount]) => { priorIncomeByMonth[month] = (priorIncomeByMonth[month] || 0) + amount; });
+                return Object.entries(amounts)
+                    .filter(([month]) => months.includes(month))
+                    .map(([month, amount]) => ({ item, month, amount }));
             });
             
         const filteredBudgets = budgetData.filter(item => months.includes(item.month));
 
+        // Open pipeline, weighted by probability, in the month each deal is expected to close
+        const currentMonth = todayKey().substring(0, 7);
+        const pipelineByMonth = {};
+        opportunities.filter(isOpenOpportunity).forEach(opportunity => {
+            const month = getForecastMonth(opportunity, currentMonth);
+            if (!months.includes(month)) return;
+            const weighted = getWeightedOpportunityValue(opportunity, exchangeRates, baseCurrency, month);
+            if (weighted === null) missingRateCount++;
+            else pipelineByMonth[month] = (pipelineByMonth[month] || 0) + weighted;
+        });
+
         // 1. Income by Type (Bar Chart)
-        const incomeByType = filteredIncome.reduce((acc, item) => {
+        const incomeByType = recognisedIncome.reduce((acc, { item, amount }) => {
             const type = item.incomeType || 'Uncategorized';
             if (!acc[type]) {
                 acc[type] = 0;
             }
-            acc[type] += parseFloat(item.value) || 0;
+            acc[type] += amount;
             return acc;
         }, {});
         
         const incomeByTypeChartData = Object.keys(incomeByType).map(key => ({
             name: key,
-            Value: incomeByType[key]
+            Value: incomeByType[key],
+            colour: incomeTypes.find(t => t.name === key)?.colour || '#9ca3af'
         }));
 
         // 2. Income vs Budget Over Time (Line Chart)
         const timeData = months.map(month => {
-            const monthlyIncome = filteredIncome
-                .filter(item => item.agreementStartDate.startsWith(month))
-                .reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0);
+            const monthlyIncome = recognisedIncome
+                .filter(entry => entry.month === month)
+                .reduce((sum, entry) => sum + entry.amount, 0);
                 
-            const monthlyBudget = filteredBudgets
-                .filter(item => item.month === month)
-                .reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0);
-            
+            // One budget series per version shown, keyed "budget:{versionId}"; Budget is the primary version's
+            const versionBudgets = Object.fromEntries(shownVersions.map(version => [
+                `budget:${version.id}`,
+                filteredBudgets
+                    .filter(item => item.month === month && getBudgetVersionId(item) === version.id)
+                    .reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0)
+            ]));
+
             return {
                 name: month,
                 Income: monthlyIncome,
-                Budget: monthlyBudget
+                Pipeline: pipelineByMonth[month] || 0,
+                Forecast: monthlyIncome + (pipelineByMonth[month] || 0),
+                Budget: primaryVersion ? versionBudgets[`budget:${primaryVersion.id}`] : 0,
+                ...versionBudgets
             };
         });
 
         // 3. KPIs
         const totalIncome = timeData.reduce((sum, m) => sum + m.Income, 0);
         const totalBudget = timeData.reduce((sum, m) => sum + m.Budget, 0);
-        const variance = totalIncome - totalBudget;
+        const weightedPipeline = timeData.reduce((sum, m) => sum + m.Pipeline, 0);
+
+        // Year to date, counting this month as elapsed. The projections carry the months so far through
+        // to year end: at their average (run rate) and along their straight-line trend.
+        const elapsedCount = timeData.filter(m => m.name <= currentMonth).length;
+        const elapsed = timeData.slice(0, elapsedCount);
+        const ytdIncome = elapsed.reduce((sum, m) => sum + m.Income, 0);
+        const ytdBudget = elapsed.reduce((sum, m) => sum + m.Budget, 0);
+        const runRate = elapsedCount ? ytdIncome / elapsedCount : 0;
+        const trend = fitTrend(elapsed.map(m => m.Income));
+        let actual = 0;
+        let budget = 0;
+        let runRateProjection = 0;
+        let trendProjection = 0;
+        const cumulativeData = timeData.map((m, i) => {
+            budget += m.Budget;
+            if (i < elapsedCount) {
+                actual += m.Income;
+                runRateProjection = actual;
+                trendProjection = actual;
+            } else {
+                runRateProjection += runRate;
+                trendProjection += Math.max(0, trend.intercept + trend.slope * i);
+            }
+            // Projection lines start at the last actual month so they join the income line
+            const projected = elapsedCount > 0 && i >= elapsedCount - 1;
+            return {
+                name: m.name,
+                Income: i < elapsedCount ? actual : null,
+                Budget: budget,
+                RunRate: projected ? runRateProjection : null,
+                Trend: projected ? trendProjection : null,
+            };
+        });
+
+        // Each month so far against the month before and the same month last year
+        const hasPriorYear = Object.values(priorIncomeByMonth).some(amount => amount !== 0);
+        const comparisons = elapsed.map((m, i) => {
+            const previous = i > 0 ? elapsed[i - 1].Income : (hasPriorYear ? priorIncomeByMonth[priorMonths[priorMonths.length - 1]] || 0 : null);
+            const lastYear = hasPriorYear ? priorIncomeByMonth[priorMonths[i]] || 0 : null;
+            return {
+                month: m.name,
+                income: m.Income,
+                previous,
+                monthChange: previous === null ? null : percentChange(m.Income, previous),
+                lastYear,
+                yearChange: lastYear === null ? null : percentChange(m.Income, lastYear),
+            };
+        });
+
+        // 4. League tables: customers and suppliers ranked separately
+        const partnerType = (partnerId) => partners.find(p => p.id === partnerId)?.type || 'customer';
+        const totalsByType = Object.fromEntries(PARTNER_TYPES.map(t => [t.value, {}]));
+        recognisedIncome.forEach(({ item, amount }) => {
+            const totals = totalsByType[partnerType(item.partnerId)];
+            totals[item.partnerId] = (totals[item.partnerId] || 0) + amount;
+        });
+        const leagues = Object.fromEntries(Object.entries(totalsByType).map(([type, totals]) => [type, rankPartners(totals)]));
+
+        return {
+            recognisedIncome, incomeByTypeChartData, timeData, totalIncome, totalBudget, weightedPipeline, leagues, missingRateCount,
+            elapsedCount, ytdIncome, ytdBudget, runRateProjection, trendProjection, cumulativeData, comparisons, hasPriorYear
+        };
 
-        return { incomeByTypeChartData, timeData, totalIncome, totalBudget, variance };
+    }, [incomeData, budgetData, shownVersions, primaryVersion, incomeTypes, partners, opportunities, exchangeRates, baseCurrency, months, financialYear, fyStartMonth]);
 
-    }, [incomeData, budgetData, months, startDate, endDate]);
+    const {
+        recognisedIncome, incomeByTypeChartData, timeData, totalIncome, totalBudget, weightedPipeline, leagues, missingRateCount,
+        elapsedCount, ytdIncome, ytdBudget, runRateProjection, trendProjection, cumulativeData, comparisons, hasPriorYear
+    } = processedData;
+    const [chartMode, setChartMode] = useState('monthly'); // 'monthly' or 'ytd' (cumulative)
+    const currentMonth = todayKey().substring(0, 7);
+    const yearUnderway = elapsedCount > 0 && elapsedCount < months.length;
+    const periodLabel = elapsedCount === months.length ? 'Full Year' : 'YTD';
+    const ytdVariance = ytdIncome - ytdBudget;
+    const runRateVariance = runRateProjection - totalBudget;
+    const trendVariance = trendProjection - totalBudget;
+    const [showForecast, setShowForecast] = useState(false); // Plot income plus the weighted pipeline
+    const projectedGap = totalIncome + weightedPipeline - totalBudget;
+    const money = (amount) => formatCurrency(amount, baseCurrency);
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const renderChange = (change) => (
+        change === null
+            ? '—'
+            : <span className={change >= 0 ? 'text-green-600' : 'text-red-600'}>{change >= 0 ? '+' : ''}{formatPercent(change)}</span>
+    );
+
+    // Partner league table and concentration
+    const [leagueType, setLeagueType] = useState('customer');
+    const [showAllPartners, setShowAllPartners] = useState(false);
+    const league = leagues[leagueType];
+    const hhiBand = HHI_BANDS.find(band => league.hhi <= band.max);
+    const paretoData = league.rows.slice(0, PARETO_CHART_SIZE).map(row => ({
+        partnerId: row.partnerId,
+        name: getPartnerName(row.partnerId),
+        Income: row.amount,
+        Cumulative: row.cumulativeShare * 100,
+    }));
+
+    // Drill-down: the income entries behind a figure, one row per entry with its total for that figure.
+    // A figure is a partner, a month, the months up to one (cumulative chart) or an income type.
+    const [drillDown, setDrillDown] = useState(null); // { partnerId } | { month } | { throughMonth } | { incomeType }
+    const drillDownRows = useMemo(() => {
+        if (!drillDown) return [];
+        const byItem = {};
+        recognisedIncome
+            .filter(({ item, month }) => (
+                (!drillDown.partnerId || item.partnerId === drillDown.partnerId)
+                && (!drillDown.month || month === drillDown.month)
+                && (!drillDown.throughMonth || month <= drillDown.throughMonth)
+                && (!drillDown.incomeType || (item.incomeType || 'Uncategorized') === drillDown.incomeType)
+            ))
+            .forEach(({ item, amount }) => {
+                if (!byItem[item.id]) byItem[item.id] = { item, amount: 0 };
+                byItem[item.id].amount += amount;
+            });
+        return Object.values(byItem).sort((a, b) => b.amount - a.amount);
+    }, [drillDown, recognisedIncome]);
+    const yearLabel = getFinancialYearLabel(financialYear, fyStartMonth);
+    const drillDownTitle = !drillDown ? ''
+        : drillDown.partnerId ? `${getPartnerName(drillDown.partnerId)}, ${yearLabel}`
+        : drillDown.month ? `Income Recognised in ${drillDown.month}`
+        : drillDown.throughMonth ? `${yearLabel} Income to the End of ${drillDown.throughMonth}`
+        : `${drillDown.incomeType}, ${yearLabel}`;
+    // Clicking a line chart picks the month under the pointer
+    const handleMonthClick = (key) => (chartState) => {
+        if (chartState?.activeLabel) setDrillDown({ [key]: chartState.activeLabel });
+    };
 
-    const { incomeByTypeChartData, timeData, totalIncome, totalBudget, variance } = processedData;
+    const handleExport = (format) => {
+        const budgetColumns = shownVersions.map(v => `${v.name} Budget`);
+        const toRow = (label, values) => ({
+            Month: label,
+            Income: values.Income,
+            'Weighted Pipeline': values.Pipeline,
+            ...Object.fromEntries(shownVersions.map(v => [`${v.name} Budget`, values[`budget:${v.id}`]])),
+            Variance: values.Income - values.Budget,
+        });
+        const totals = timeData.reduce((acc, m) => {
+            Object.keys(m).filter(key => key !== 'name').forEach(key => { acc[key] = (acc[key] || 0) + m[key]; });
+            return acc;
+        }, { Income: 0, Budget: 0 });
+        const monthlyRows = [...timeData.map(m => toRow(m.name, m)), toRow('Total', totals)];
+        const leagueRows = PARTNER_TYPES.flatMap(type => leagues[type.value].rows.map(row => ({
+            Type: type.label,
+            Rank: row.rank,
+            Partner: getPartnerName(row.partnerId),
+            Income: row.amount,
+            Share: formatPercent(row.share),
+            'Cumulative Share': formatPercent(row.cumulativeShare),
+        })));
+        exportSheets(`dashboard-${getFinancialYearShortLabel(financialYear, fyStartMonth).replace(/[ /]/g, '-')}`, [
+            { name: 'Income vs Budget', rows: monthlyRows, amountColumns: ['Income', 'Weighted Pipeline', ...budgetColumns, 'Variance'] },
+            { name: 'Income by Type', rows: incomeByTypeChartData.map(d => ({ Type: d.name, Income: d.Value })), amountColumns: ['Income'] },
+            { name: 'Income by Partner', rows: leagueRows, amountColumns: ['Income'] },
+            {
+                name: 'Cumulative',
+                rows: cumulativeData.map(m => ({
+                    Month: m.name,
+                    'Cumulative Income': m.Income ?? '',
+                    'Cumulative Budget': m.Budget,
+                    'Run-Rate Projection': m.RunRate ?? '',
+                    'Trend Projection': m.Trend ?? '',
+                })),
+                amountColumns: ['Cumulative Income', 'Cumulative Budget', 'Run-Rate Projection', 'Trend Projection'],
+            },
+            {
+                name: 'Month Comparisons',
+                rows: comparisons.map(c => ({
+                    Month: c.month,
+                    Income: c.income,
+                    'Previous Month': c.previous ?? '',
+                    'Change on Previous Month': c.monthChange === null ? '' : formatPercent(c.monthChange),
+                    'Same Month Last Year': c.lastYear ?? '',
+                    'Change on Last Year': c.yearChange === null ? '' : formatPercent(c.yearChange),
+                })),
+                amountColumns: ['Income', 'Previous Month', 'Same Month Last Year'],
+            },
+        ], format).catch(e => console.error("Error exporting dashboard: ", e));
+    };
 
     return (
         <div className="space-y-6">
-            <h2 className="text-xl font-semibold text-gray-700">Oct 1 2025 - Sep 30 2026 Tracker</h2>
-            
-            {/* KPI Cards */}
+            <div className="flex justify-between items-center">
+                <h2 className="text-xl font-semibold text-gray-700">{getFinancialYearLabel(financialYear, fyStartMonth)} Tracker</h2>
+                <ExportButtons onExport={handleExport} />
+            </div>
+
+            {missingRateCount > 0 && (
+                <div className="p-3 rounded-md bg-yellow-50 text-sm text-yellow-800">
+                    {missingRateCount} {missingRateCount === 1 ? 'entry or opportunity is' : 'entries or opportunities are'} left out because there is
+                    no exchange rate to {baseCurrency} for {missingRateCount === 1 ? 'its' : 'their'} currency. Add the rate under Settings.
+                </div>
+            )}
+
+            {/* KPI Cards: the year so far */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                <KpiCard title="Total Income (Posted)" value={`$${totalIncome.toLocaleString()}`} />
-                <KpiCard title="Total Budget" value={`$${totalBudget.toLocaleString()}`} />
-                <KpiCard 
-                    title="Variance" 
-                    value={`$${variance.toLocaleString()}`} 
-                    className={variance >= 0 ? 'text-green-600' : 'text-red-600'}
+                <KpiCard title={`Income ${periodLabel} (Posted)`} value={money(ytdIncome)} />
+                <KpiCard title={`Budget ${periodLabel}${primaryVersion ? ` (${primaryVersion.name})` : ''}`} value={money(ytdBudget)} />
+                <KpiCard
+                    title={`Variance ${periodLabel}`}
+                    value={money(ytdVariance)}
+                    className={ytdVariance >= 0 ? 'text-green-600' : 'text-red-600'}
                 />
             </div>
 
+            {/* Year-end projections, while the year is under way */}
+            {yearUnderway && (
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+                    <KpiCard title="Full-Year Budget" value={money(totalBudget)} />
+                    <KpiCard
+                        title="Run-Rate Projection"
+                        value={money(runRateProjection)}
+                        subtitle={`Average of the ${elapsedCount} ${elapsedCount === 1 ? 'month' : 'months'} so far`}
+                    />
+                    <KpiCard
+                        title="Trend Projection"
+                        value={money(trendProjection)}
+                        subtitle={`Straight-line trend of the ${elapsedCount} ${elapsedCount === 1 ? 'month' : 'months'} so far`}
+                    />
+                    <KpiCard
+                        title="Projected Variance"
+                        value={money(runRateVariance)}
+                        subtitle={`At run rate; ${money(trendVariance)} on trend`}
+                        className={runRateVariance >= 0 ? 'text-green-600' : 'text-red-600'}
+                    />
+                </div>
+            )}
+
+            <label className="flex items-center text-sm text-gray-700">
+                <input type="checkbox" className="mr-2" checked={showForecast} onChange={(e) => setShowForecast(e.target.checked)} />
+                Add the probability-weighted pipeline forecast
+            </label>
+            {showForecast && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <KpiCard title="Weighted Pipeline" value={money(weightedPipeline)} />
+                    <KpiCard title="Forecast (Income + Pipeline)" value={money(totalIncome + weightedPipeline)} />
+                    <KpiCard
+                        title="Projected Year-End Gap"
+                        value={money(projectedGap)}
+                        className={projectedGap >= 0 ? 'text-green-600' : 'text-red-600'}
+                    />
+                </div>
+            )}
+
+            {budgetVersions.length > 1 && (
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+                    <span className="font-medium">Budget versions:</span>
+                    {budgetVersions.map(version => (
+                        <label key={version.id} className="flex items-center">
+                            <input
+                                type="checkbox"
+                                className="mr-1"
+                                checked={shownVersions.some(v => v.id === version.id)}
+                                onChange={() => toggleVersion(version.id)}
+                            />
+                            <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: versionColour(version.id) }} />
+                            {version.name}
+                            {version.locked && <Lock size={12} className="ml-1 text-gray-400" />}
+                        </label>
+                    ))}
+                </div>
+            )}
+
             {/* Charts */}
+            <p className="text-xs text-gray-500">Click a month or a bar to list the income entries behind it.</p>
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                <ChartCard title="Income vs. Budget Over Time">
-                    <ResponsiveContainer width="100%" height={300}>
-                        <LineChart data={timeData}>
-                            <CartesianGrid strokeDasharray="3 3" />
-                            <XAxis dataKey="name" />
-                            <YAxis />
-                            <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
-                            <Legend />
-                            <Line type="monotone" dataKey="Income" stroke="#3b82f6" strokeWidth={2} />
-                            <Line type="monotone" dataKey="Budget" stroke="#8884d8" strokeWidth={2} />
-                        </LineChart>
-                    </ResponsiveContainer>
+                <ChartCard
+                    title={chartMode === 'ytd' ? 'Cumulative Income vs. Budget' : 'Income vs. Budget Over Time'}
+                    actions={(
+                        <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                            {[{ value: 'monthly', label: 'Monthly' }, { value: 'ytd', label: 'Cumulative' }].map(mode => (
+                                <button
+                                    key={mode.value}
+                                    onClick={() => setChartMode(mode.value)}
+                                    className={`px-3 py-1 ${chartMode === mode.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                                >
+                                    {mode.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                >
+                    {chartMode === 'ytd' && (
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={cumulativeData} onClick={handleMonthClick('throughMonth')} style={{ cursor: 'pointer' }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="name" />
+                                <YAxis />
+                                <Tooltip formatter={(value) => money(value)} />
+                                <Legend />
+                                {yearUnderway && <ReferenceLine x={currentMonth} stroke="#9ca3af" label={{ value: 'Today', position: 'top', fontSize: 10 }} />}
+                                <Line type="monotone" dataKey="Income" name="Cumulative Income" stroke="#3b82f6" strokeWidth={2} />
+                                <Line
+                                    type="monotone"
+                                    dataKey="Budget"
+                                    name={`Cumulative ${primaryVersion ? `${primaryVersion.name} ` : ''}Budget`}
+                                    stroke={primaryVersion ? versionColour(primaryVersion.id) : '#10b981'}
+                                    strokeWidth={2}
+                                />
+                                {yearUnderway && (
+                                    <Line type="monotone" dataKey="RunRate" name="Run-Rate Projection" stroke="#f97316" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+                                )}
+                                {yearUnderway && (
+                                    <Line type="monotone" dataKey="Trend" name="Trend Projection" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="3 3" dot={false} />
+                                )}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    )}
+                    {chartMode === 'monthly' && (
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={timeData} onClick={handleMonthClick('month')} style={{ cursor: 'pointer' }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="name" />
+                                <YAxis />
+                                <Tooltip formatter={(value) => money(value)} />
+                                <Legend />
+                                <Line type="monotone" dataKey="Income" stroke="#3b82f6" strokeWidth={2} />
+                                {showForecast && (
+                                    <Line type="monotone" dataKey="Forecast" name="Forecast (weighted)" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="3 3" />
+                                )}
+                                {shownVersions.map(version => (
+                                    <Line
+                                        key={version.id}
+                                        type="monotone"
+                                        dataKey={`budget:${version.id}`}
+                                        name={`${version.name} Budget`}
+                                        stroke={versionColour(version.id)}
+                                        strokeWidth={2}
+                                        strokeDasharray={version.id === primaryVersion?.id ? undefined : '5 5'}
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    )}
                 </ChartCard>
-                <ChartCard title="Income by Type (Posted)">
+                <ChartCard title="Recognised Income by Type (Posted)">
                      <ResponsiveContainer width="100%" height={300}>
                         <BarChart data={incomeByTypeChartData}>
                             <CartesianGrid strokeDasharray="3 3" />
                             <XAxis dataKey="name" />
                             <YAxis />
-                            <Tooltip formatter={(value) => `$${value.toLocaleString()}`} />
+                            <Tooltip formatter={(value) => money(value)} />
                             <Legend />
-                            <Bar dataKey="Value" fill="#3b82f6" />
+                            <Bar dataKey="Value" cursor="pointer" onClick={(bar) => setDrillDown({ incomeType: bar.payload.name })}>
+                                {incomeByTypeChartData.map(entry => <Cell key={entry.name} fill={entry.colour} />)}
+                            </Bar>
                         </BarChart>
                     </ResponsiveContainer>
                 </ChartCard>
             </div>
+
+            {/* Month-on-month and same month last year */}
+            {comparisons.length > 0 && (
+                <Card>
+                    <CardHeader title="Month-by-Month Comparison" />
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <Th>Month</Th>
+                                    <Th>Income</Th>
+                                    <Th>Previous Month</Th>
+                                    <Th>Change</Th>
+                                    {hasPriorYear && <Th>Same Month Last Year</Th>}
+                                    {hasPriorYear && <Th>Change</Th>}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {comparisons.map(c => (
+                                    <tr key={c.month}>
+                                        <Td>{c.month}{c.month === currentMonth && <span className="ml-1 text-xs text-gray-400">(to date)</span>}</Td>
+                                        <Td>{money(c.income)}</Td>
+                                        <Td>{c.previous === null ? '—' : money(c.previous)}</Td>
+                                        <Td>{renderChange(c.monthChange)}</Td>
+                                        {hasPriorYear && <Td>{money(c.lastYear)}</Td>}
+                                        {hasPriorYear && <Td>{renderChange(c.yearChange)}</Td>}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {!hasPriorYear && (
+                        <p className="p-4 md:px-6 text-sm text-gray-500 border-t border-gray-200">
+                            Same-month comparisons appear once there is posted income for {getFinancialYearLabel(financialYear - 1, fyStartMonth)}.
+                        </p>
+                    )}
+                </Card>
+            )}
+
+            {/* Partner league table and concentration */}
+            <Card>
+                <CardHeader title={`Income by Partner (Posted, ${baseCurrency})`}>
+                    <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                        {PARTNER_TYPES.map(type => (
+                            <button
+                                key={type.value}
+                                onClick={() => { setLeagueType(type.value); setShowAllPartners(false); }}
+                                className={`px-3 py-1 ${leagueType === type.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                                {type.label}s
+                            </button>
+                        ))}
+                    </div>
+                </CardHeader>
+                <div className="p-4 md:p-6 space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <KpiCard title={`Top ${CONCENTRATION_TOP_N} Share`} value={formatPercent(league.topShare)} />
+                        <KpiCard
+                            title="Concentration (HHI)"
+                            value={`${Math.round(league.hhi).toLocaleString()} · ${hhiBand.label}`}
+                            className={league.rows.length > 0 ? hhiBand.className : 'text-gray-900'}
+                        />
+                        <KpiCard title={`${PARTNER_TYPES.find(t => t.value === leagueType).label}s with Income`} value={league.rows.length} />
+                    </div>
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <Th>#</Th>
+                                        <Th>Partner</Th>
+                                        <Th>Income</Th>
+                                        <Th>Share</Th>
+                                        <Th>Cumulative</Th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {league.rows.length === 0 && (
+                                        <tr>
+                                            <Td colSpan="5" className="text-center text-gray-500 py-8">No posted income this year.</Td>
+                                        </tr>
+                                    )}
+                                    {(showAllPartners ? league.rows : league.rows.slice(0, PARETO_CHART_SIZE)).map(row => (
+                                        <tr
+                                            key={row.partnerId}
+                                            onClick={() => setDrillDown({ partnerId: row.partnerId })}
+                                            className={`cursor-pointer hover:bg-gray-50 ${drillDown?.partnerId === row.partnerId ? 'bg-blue-50' : ''}`}
+                                        >
+                                            <Td>{row.rank}</Td>
+                                            <Td>{getPartnerName(row.partnerId)}</Td>
+                                            <Td>{money(row.amount)}</Td>
+                                            <Td>{formatPercent(row.share)}</Td>
+                                            <Td>{formatPercent(row.cumulativeShare)}</Td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {league.rows.length > PARETO_CHART_SIZE && (
+                                <button onClick={() => setShowAllPartners(show => !show)} className="mt-2 text-sm text-blue-600 hover:underline">
+                                    {showAllPartners ? `Show top ${PARETO_CHART_SIZE}` : `Show all ${league.rows.length}`}
+                                </button>
+                            )}
+                        </div>
+                        <div>
+                            <ResponsiveContainer width="100%" height={300}>
+                                <ComposedChart data={paretoData}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" tick={{ fontSize: 10 }} interval={0} angle={-30} textAnchor="end" height={60} />
+                                    <YAxis yAxisId="income" />
+                                    <YAxis yAxisId="share" orientation="right" domain={[0, 100]} unit="%" />
+                                    <Tooltip formatter={(value, name) => (name === 'Cumulative' ? `${value.toFixed(1)}%` : money(value))} />
+                                    <Legend />
+                                    <Bar
+                                        yAxisId="income"
+                                        dataKey="Income"
+                                        fill="#3b82f6"
+                                        cursor="pointer"
+                                        onClick={(bar) => setDrillDown({ partnerId: bar.payload.partnerId })}
+                                    />
+                                    <Line yAxisId="share" type="monotone" dataKey="Cumulative" stroke="#f97316" strokeWidth={2} />
+                                </ComposedChart>
+                            </ResponsiveContainer>
+                            <p className="text-xs text-gray-500">Click a partner to see the income entries behind it.</p>
+                        </div>
+                    </div>
+                </div>
+            </Card>
+
+            {drillDown && (
+                <DrillDownPanel
+                    title={drillDownTitle}
+                    rows={drillDownRows}
+                    partners={partners}
+                    baseCurrency={baseCurrency}
+                    canEdit={(item) => canEditIncome(item, can)}
+                    onEdit={onEditIncome}
+                    onOpenIncome={onOpenIncome}
+                    onClose={() => setDrillDown(null)}
+                >
+                    {drillDown.partnerId && (
+                        <button onClick={() => onOpenPartner(drillDown.partnerId)} className="text-sm text-blue-600 hover:underline">
+                            Open partner profile
+                        </button>
+                    )}
+                </DrillDownPanel>
+            )}
         </div>
     );
 };
 
-const KpiCard = ({ title, value, className = 'text-gray-900' }) => (
+const KpiCard = ({ title, value, subtitle, className = 'text-gray-900' }) => (
     <div className="bg-white p-6 rounded-lg shadow-md">
         <h3 className="text-sm font-medium text-gray-500 uppercase">{title}</h3>
         <p className={`text-3xl font-semibold mt-2 ${className}`}>{value}</p>
+        {subtitle && <p className="text-sm text-gray-500 mt-1">{subtitle}</p>}
     </div>
 );
 
-const ChartCard = ({ title, children }) => (
+const ChartCard = ({ title, actions, children }) => (
     <div className="bg-white p-6 rounded-lg shadow-md">
-        <h3 className="text-lg font-semibold text-gray-700 mb-4">{title}</h3>
+        <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-700">{title}</h3>
+            {actions}
+        </div>
         {children}
     </div>
 );
 
+// The income entries behind a dashboard figure, each with the amount it contributes in the base currency.
+// Posted entries are locked, so those link to the Income Manager, where finance can reopen them.
+const DrillDownPanel = ({ title, rows, partners, baseCurrency, canEdit, onEdit, onOpenIncome, onClose, children }) => {
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const total = rows.reduce((sum, row) => sum + row.amount, 0);
+
+    // The panel sits below the charts, so bring it into view whenever it opens on a new figure
+    const panelRef = useRef(null);
+    useEffect(() => {
+        panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, [title]);
+
+    return (
+        <div ref={panelRef}>
+            <Card>
+                <CardHeader title={title}>
+                    {children}
+                    <IconButton onClick={onClose} icon={X} className="text-gray-500 hover:text-gray-800" title="Close" />
+                </CardHeader>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Invoice #</Th>
+                                <Th>Partner</Th>
+                                <Th>Type</Th>
+                                <Th>Entry Value</Th>
+                                <Th>{`Contributes (${baseCurrency})`}</Th>
+                                <Th>Actions</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rows.length === 0 && (
+                                <tr>
+                                    <Td colSpan="6" className="text-center text-gray-500 py-8">No posted income behind this figure.</Td>
+                                </tr>
+                            )}
+                            {rows.map(({ item, amount }) => (
+                                <tr key={item.id}>
+                                    <Td>{item.invoiceNumber}</Td>
+                                    <Td>{getPartnerName(item.partnerId)}</Td>
+                                    <Td>{item.incomeType}</Td>
+                                    <Td>{formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}</Td>
+                                    <Td>{formatCurrency(amount, baseCurrency)}</Td>
+                                    <Td>
+                                        <div className="flex space-x-2">
+                                            {canEdit(item) && (
+                                                <IconButton onClick={() => onEdit(item)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                            )}
+                                            <IconButton
+                                                onClick={() => onOpenIncome(item)}
+                                                icon={ExternalLink}
+                                                className="text-gray-500 hover:text-gray-800"
+                                                title="Open in Income Manager"
+                                            />
+                                        </div>
+                                    </Td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        {rows.length > 0 && (
+                            <tfoot className="bg-gray-50 font-semibold">
+                                <tr>
+                                    <Td colSpan="4">Total</Td>
+                                    <Td>{formatCurrency(total, baseCurrency)}</Td>
+                                    <Td />
+                                </tr>
+                            </tfoot>
+                        )}
+                    </table>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
 
 // --- Income Management View ---
-const IncomeManagementView = ({ incomeData, partners, onAdd, onEdit, onDelete, onValidate }) => {
-    
-    // Sort data: pending first, then by date
+const INCOME_PAGE_SIZE = 25;
+
+// Filter, sort and page state for the income table; every key is mirrored in the URL
+const INCOME_FILTER_DEFAULTS = {
+    q: '',
+    status: '',
+    invoiceStatus: '',
+    incomeType: '',
+    partnerId: '',
+    from: '',
+    to: '',
+    sort: '', // '' = submitted (waiting for approval) first, then newest
+    dir: 'asc',
+    page: '1',
+};
+
+const IncomeManagementView = ({
+    incomeData, partners, incomeTypes, can, currentUserId, onAdd, onEdit, onDelete, onShowHistory, onGenerateInvoice, onImport,
+    onRecordPayment, onSubmit, onApprove, onReject, onPost, onReopen
+}) => {
+    const [filters, setFilters] = useState(() => {
+        const params = readUrlParams();
+        return Object.fromEntries(
+            Object.entries(INCOME_FILTER_DEFAULTS).map(([key, fallback]) => [key, params.get(key) ?? fallback])
+        );
+    });
+
+    useEffect(() => {
+        const params = readUrlParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value && value !== INCOME_FILTER_DEFAULTS[key]) params.set(key, value);
+            else params.delete(key);
+        });
+        writeUrlParams(params);
+    }, [filters]);
+
+    // Any filter change sends the user back to the first page
+    const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value, page: key === 'page' ? value : '1' }));
+    const clearFilters = () => setFilters(prev => ({ ...INCOME_FILTER_DEFAULTS, sort: prev.sort, dir: prev.dir }));
+    const hasFilters = ['q', 'status', 'invoiceStatus', 'incomeType', 'partnerId', 'from', 'to'].some(key => filters[key]);
+
+    const handleSort = (key) => {
+        setFilters(prev => ({
+            ...prev,
+            sort: key,
+            dir: prev.sort === key && prev.dir === 'asc' ? 'desc' : 'asc',
+            page: '1',
+        }));
+    };
+
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+
+    // Filter, then sort: by the chosen column, or submitted first then by date
     const sortedIncome = useMemo(() => {
-        return [...incomeData].sort((a, b) => {
-            if (a.status === 'pending' && b.status !== 'pending') return -1;
-            if (a.status !== 'pending' && b.status === 'pending') return 1;
+        const search = filters.q.trim().toLowerCase();
+        const partnerNames = Object.fromEntries(partners.map(p => [p.id, p.name || '']));
+        const filtered = incomeData.filter(item => {
+            if (search) {
+                const haystack = `${partnerNames[item.partnerId] || ''} ${item.invoiceNumber || ''}`.toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            if (filters.status && getIncomeStatus(item) !== filters.status) return false;
+            if (filters.invoiceStatus && getInvoiceStatus(item) !== filters.invoiceStatus) return false;
+            if (filters.incomeType && item.incomeType !== filters.incomeType) return false;
+            if (filters.partnerId && item.partnerId !== filters.partnerId) return false;
+            if (filters.from && (item.agreementStartDate || '') < filters.from) return false;
+            if (filters.to && (item.agreementStartDate || '') > filters.to) return false;
+            return true;
+        });
+
+        const sortValue = {
+            status: (item) => getIncomeStatus(item),
+            partner: (item) => (partnerNames[item.partnerId] || '').toLowerCase(),
+            value: (item) => parseFloat(item.value) || 0,
+            invoiceStatus: (item) => getInvoiceStatus(item),
+        }[filters.sort] || ((item) => String(item[filters.sort] ?? '').toLowerCase());
+        const direction = filters.dir === 'desc' ? -1 : 1;
+
+        return filtered.sort((a, b) => {
+            if (filters.sort) {
+                const aValue = sortValue(a);
+                const bValue = sortValue(b);
+                if (aValue < bValue) return -direction;
+                if (aValue > bValue) return direction;
+                return 0;
+            }
+            const aSubmitted = getIncomeStatus(a) === 'submitted';
+            const bSubmitted = getIncomeStatus(b) === 'submitted';
+            if (aSubmitted && !bSubmitted) return -1;
+            if (!aSubmitted && bSubmitted) return 1;
             return new Date(b.createdAt || 0) - new Date(a.createdAt || 0); // Sort by creation date
         });
-    }, [incomeData]);
+    }, [incomeData, partners, filters]);
 
-    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const pageCount = Math.max(1, Math.ceil(sortedIncome.length / INCOME_PAGE_SIZE));
+    const page = Math.min(Math.max(parseInt(filters.page, 10) || 1, 1), pageCount);
+    const pageRows = sortedIncome.slice((page - 1) * INCOME_PAGE_SIZE, page * INCOME_PAGE_SIZE);
+    const sortProps = { sortState: filters, onSort: handleSort };
+
+    // Exports every row matching the current filters, in the current order
+    const handleExport = (format) => {
+        const rows = sortedIncome.map(item => ({
+            'Status': INCOME_STATUSES.find(s => s.value === getIncomeStatus(item))?.label,
+            'Invoice #': item.invoiceNumber || '',
+            'Partner': getPartnerName(item.partnerId),
+            'Type': item.incomeType,
+            'Value': parseFloat(item.value) || 0,
+            'Currency': getIncomeCurrency(item),
+            'Start Date': item.agreementStartDate || '',
+            'End Date': item.agreementEndDate || '',
+            'Recognition': RECOGNITION_METHODS.find(m => m.value === (item.recognitionMethod || 'pointInTime'))?.label || '',
+            'Invoice Status': INVOICE_STATUSES.find(s => s.value === getInvoiceStatus(item))?.label || '',
+            'Due Date': item.invoiceDueDate || '',
+            'Outstanding': getOutstandingAmount(item),
+            'Created At': item.createdAt || '',
+        }));
+        exportSheets(`income-${todayKey()}`, [{ name: 'Income', rows, amountColumns: ['Value', 'Outstanding'] }], format)
+            .catch(e => console.error("Error exporting income: ", e));
+    };
 
     return (
         <Card>
-            <CardHeader title="Income Management" onAction={onAdd} actionIcon={Plus} actionLabel="Add Income" />
+            <CardHeader
+                title="Income Management"
+                onAction={can('income:write') ? onAdd : null}
+                actionIcon={Plus}
+                actionLabel="Add Income"
+            >
+                <ExportButtons onExport={handleExport} />
+                {can('income:write') && <Button onClick={onImport} icon={Upload} label="Import" variant="secondary" />}
+            </CardHeader>
+            <div className="p-4 md:px-6 border-b border-gray-200 flex flex-wrap items-center gap-3">
+                <div className="relative">
+                    <Search size={16} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+                    <input
+                        type="search"
+                        value={filters.q}
+                        onChange={(e) => updateFilter('q', e.target.value)}
+                        placeholder="Search partner or invoice #"
+                        className={`${FILTER_INPUT_CLASS} pl-8 w-56`}
+                    />
+                </div>
+                <FilterSelect value={filters.status} onChange={(value) => updateFilter('status', value)} placeholder="All statuses"
+                    options={INCOME_STATUSES} />
+                <FilterSelect value={filters.invoiceStatus} onChange={(value) => updateFilter('invoiceStatus', value)} placeholder="All invoice statuses"
+                    options={INVOICE_STATUSES} />
+                <FilterSelect value={filters.incomeType} onChange={(value) => updateFilter('incomeType', value)} placeholder="All types"
+                    options={incomeTypes.map(t => ({ value: t.name, label: t.name }))} />
+                <FilterSelect value={filters.partnerId} onChange={(value) => updateFilter('partnerId', value)} placeholder="All partners"
+                    options={[...partners].sort((a, b) => (a.name || '').localeCompare(b.name || '')).map(p => ({ value: p.id, label: p.name }))} />
+                <div className="flex items-center text-sm text-gray-600 space-x-1">
+                    <span>Start</span>
+                    <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={FILTER_INPUT_CLASS} title="From" />
+                    <span>to</span>
+                    <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={FILTER_INPUT_CLASS} title="To" />
+                </div>
+                {hasFilters && (
+                    <button onClick={clearFilters} className="text-sm text-blue-600 hover:underline">Clear filters</button>
+                )}
+            </div>
             <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50">
                         <tr>
-                            <Th>Status</Th>
-                            <Th>Start Date</Th>
-                            <Th>Partner</Th>
-                            <Th>Type</Th>
-                            <Th>Value</Th>
-                            <Th>Invoice #</Th>
-                            <Th>Invoice Status</Th>
+                            <Th sortKey="status" {...sortProps}>Status</Th>
+                            <Th sortKey="agreementStartDate" {...sortProps}>Start Date</Th>
+                            <Th sortKey="partner" {...sortProps}>Partner</Th>
+                            <Th sortKey="incomeType" {...sortProps}>Type</Th>
+                            <Th sortKey="value" {...sortProps}>Value</Th>
+                            <Th sortKey="invoiceNumber" {...sortProps}>Invoice #</Th>
+                            <Th sortKey="invoiceStatus" {...sortProps}>Invoice Status</Th>
                             <Th>Actions</Th>
                         </tr>
                     </thead>
@@ -619,152 +3661,890 @@ const IncomeManagementView = ({ incomeData, partners, onAdd, onEdit, onDelete, o
                         {sortedIncome.length === 0 && (
                             <tr>
                                 <Td colSpan="8" className="text-center text-gray-500 py-8">
-                                    No income entries yet. Click "Add Income" to get started.
+                                    {incomeData.length === 0
+                                        ? 'No income entries yet. Click "Add Income" to get started.'
+                                        : 'No income entries match the current filters.'}
                                 </Td>
                             </tr>
                         )}
-                        {sortedIncome.map(item => (
-                            <tr key={item.id} className={item.status === 'pending' ? 'bg-yellow-50' : ''}>
+                        {pageRows.map(item => {
+                            const status = getIncomeStatus(item);
+                            const canReview = status === 'submitted' && can('income:validate') && item.submittedBy !== currentUserId;
+                            return (
+                            <tr key={item.id} className={{ submitted: 'bg-yellow-50', rejected: 'bg-red-50' }[status] || ''}>
                                 <Td>
-                                    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full
-                                        ${item.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
-                                        {item.status}
-                                    </span>
+                                    <IncomeStatusBadge status={status} />
+                                    {status === 'rejected' && item.rejectionComment && (
+                                        <div className="mt-1 max-w-xs truncate text-xs text-red-700" title={item.rejectionComment}>
+                                            {item.rejectionComment}
+                                        </div>
+                                    )}
                                 </Td>
                                 <Td>{item.agreementStartDate}</Td>
                                 <Td>{getPartnerName(item.partnerId)}</Td>
                                 <Td>{item.incomeType}</Td>
-                                <Td>${parseFloat(item.value || 0).toLocaleString()}</Td>
-                                <Td>{item.invoiceNumber}</Td>
-                                <Td>{item.invoiceStatus}</Td>
+                                <Td>{formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}</Td>
+                                <Td>
+                                    {item.invoiceNumberPending
+                                        ? <span className="text-gray-400 italic" title="Entered offline; numbered once it syncs">Pending sync</span>
+                                        : item.invoiceNumber}
+                                </Td>
+                                <Td><InvoiceStatusBadge status={getInvoiceStatus(item)} /></Td>
                                 <Td>
                                     <div className="flex space-x-2">
-                                        {item.status === 'pending' && (
-                                            <IconButton onClick={() => onValidate(item.id)} icon={CheckSquare} className="text-green-600 hover:text-green-800" title="Validate" />
+                                        {(status === 'draft' || status === 'rejected') && can('income:write') && (
+                                            <IconButton onClick={() => onSubmit(item.id)} icon={Send} className="text-yellow-600 hover:text-yellow-800" title="Submit for approval" />
+                                        )}
+                                        {canReview && (
+                                            <>
+                                                <IconButton onClick={() => onApprove(item.id)} icon={CheckSquare} className="text-green-600 hover:text-green-800" title="Approve" />
+                                                <IconButton onClick={() => onReject(item)} icon={XCircle} className="text-red-600 hover:text-red-800" title="Reject" />
+                                            </>
+                                        )}
+                                        {status === 'approved' && can('income:validate') && (
+                                            <IconButton onClick={() => onPost(item.id)} icon={Lock} className="text-green-600 hover:text-green-800" title="Post" />
+                                        )}
+                                        {status === 'posted' && can('income:validate') && (
+                                            <IconButton onClick={() => onReopen(item.id)} icon={Unlock} className="text-gray-500 hover:text-gray-800" title="Reopen for correction" />
+                                        )}
+                                        {canEditIncome(item, can) && (
+                                            <IconButton onClick={() => onEdit(item)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                        )}
+                                        {can('income:delete') && (
+                                            <IconButton onClick={() => onDelete(item.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                                        )}
+                                        {can('income:write') && (
+                                            <IconButton onClick={() => onGenerateInvoice(item)} icon={FileDown} className="text-indigo-600 hover:text-indigo-800" title="Generate Invoice" />
                                         )}
-                                        <IconButton onClick={() => onEdit(item)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
-                                        <IconButton onClick={() => onDelete(item.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                                        {can('payments:record') && getInvoiceStatus(item) !== 'pending' && (
+                                            <IconButton onClick={() => onRecordPayment(item)} icon={Coins} className="text-emerald-600 hover:text-emerald-800" title="Payments" />
+                                        )}
+                                        <IconButton onClick={() => onShowHistory(item)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
                                     </div>
                                 </Td>
                             </tr>
-                        ))}
+                            );
+                        })}
                     </tbody>
                 </table>
             </div>
+            {sortedIncome.length > INCOME_PAGE_SIZE && (
+                <div className="p-4 md:px-6 border-t border-gray-200 flex justify-between items-center text-sm text-gray-600">
+                    <span>
+                        Showing {(page - 1) * INCOME_PAGE_SIZE + 1}-{Math.min(page * INCOME_PAGE_SIZE, sortedIncome.length)} of {sortedIncome.length}
+                    </span>
+                    <div className="flex items-center space-x-2">
+                        <IconButton onClick={() => updateFilter('page', String(page - 1))} icon={ChevronLeft} className={page === 1 ? 'invisible' : 'text-gray-600 hover:text-gray-900'} title="Previous page" />
+                        <span>Page {page} of {pageCount}</span>
+                        <IconButton onClick={() => updateFilter('page', String(page + 1))} icon={ChevronRight} className={page === pageCount ? 'invisible' : 'text-gray-600 hover:text-gray-900'} title="Next page" />
+                    </div>
+                </div>
+            )}
         </Card>
     );
 };
 
+const IncomeStatusBadge = ({ status }) => (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${INCOME_STATUS_STYLES[status] || INCOME_STATUS_STYLES.draft}`}>
+        {INCOME_STATUSES.find(s => s.value === status)?.label || status}
+    </span>
+);
+
+const InvoiceStatusBadge = ({ status }) => (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${INVOICE_STATUS_STYLES[status] || INVOICE_STATUS_STYLES.pending}`}>
+        {INVOICE_STATUSES.find(s => s.value === status)?.label || status}
+    </span>
+);
+
+const FILTER_INPUT_CLASS = 'px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+// Compact select for table filter bars; the placeholder option clears the filter
+const FilterSelect = ({ value, onChange, options, placeholder }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={FILTER_INPUT_CLASS}>
+        <option value="">{placeholder}</option>
+        {options.map(opt => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+        ))}
+    </select>
+);
+
+
+// --- Pipeline View ---
+const PipelineView = ({
+    opportunities, incomeData, partners, exchangeRates, baseCurrency, canEdit, canConvert, onAdd, onEdit, onDelete, onConvert, onShowHistory
+}) => {
+    const [stageFilter, setStageFilter] = useState('open'); // 'open', a stage, or '' for all
+    const currentMonth = todayKey().substring(0, 7);
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const money = (amount) => formatCurrency(amount, baseCurrency);
+
+    const rows = useMemo(() => (
+        opportunities
+            .filter(o => (!stageFilter ? true : stageFilter === 'open' ? isOpenOpportunity(o) : o.stage === stageFilter))
+            .map(o => ({
+                opportunity: o,
+                weighted: isOpenOpportunity(o)
+                    ? getWeightedOpportunityValue(o, exchangeRates, baseCurrency, getForecastMonth(o, currentMonth))
+                    : null,
+            }))
+            .sort((a, b) => (a.opportunity.expectedCloseMonth || '').localeCompare(b.opportunity.expectedCloseMonth || ''))
+    ), [opportunities, stageFilter, exchangeRates, baseCurrency, currentMonth]);
+
+    // Open deals by stage, in the base currency
+    const stageSummary = OPEN_OPPORTUNITY_STAGES.map(stage => {
+        const inStage = opportunities.filter(o => o.stage === stage);
+        return inStage.reduce((acc, o) => {
+            const month = getForecastMonth(o, currentMonth);
+            const rate = getExchangeRate(exchangeRates, getIncomeCurrency(o), baseCurrency, `${month}-31`) ?? 0;
+            acc.value += (parseFloat(o.value) || 0) * rate;
+            acc.weighted += getWeightedOpportunityValue(o, exchangeRates, baseCurrency, month) ?? 0;
+            return acc;
+        }, { stage, count: inStage.length, value: 0, weighted: 0 });
+    });
+    const totalWeighted = stageSummary.reduce((sum, s) => sum + s.weighted, 0);
+
+    const handleExport = (format) => {
+        const exportRows = rows.map(({ opportunity: o, weighted }) => ({
+            Opportunity: o.name,
+            Partner: getPartnerName(o.partnerId),
+            Type: o.incomeType,
+            Currency: getIncomeCurrency(o),
+            Value: parseFloat(o.value) || 0,
+            Stage: OPPORTUNITY_STAGES.find(s => s.value === o.stage)?.label,
+            'Probability %': parseFloat(o.probability) || 0,
+            [`Weighted (${baseCurrency})`]: weighted ?? '',
+            'Expected Close': o.expectedCloseMonth,
+        }));
+        exportSheets(`pipeline-${todayKey()}`, [
+            { name: 'Pipeline', rows: exportRows, amountColumns: ['Value', `Weighted (${baseCurrency})`] },
+        ], format).catch(e => console.error("Error exporting pipeline: ", e));
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {stageSummary.map(s => (
+                    <div key={s.stage} className="bg-white p-4 rounded-lg shadow-md">
+                        <h3 className="text-sm font-medium text-gray-500 uppercase">
+                            {OPPORTUNITY_STAGES.find(stage => stage.value === s.stage).label} ({s.count})
+                        </h3>
+                        <p className="text-xl font-semibold mt-1 text-gray-900">{money(s.value)}</p>
+                        <p className="text-xs text-gray-500">{money(s.weighted)} weighted</p>
+                    </div>
+                ))}
+                <div className="bg-white p-4 rounded-lg shadow-md">
+                    <h3 className="text-sm font-medium text-gray-500 uppercase">Weighted Total</h3>
+                    <p className="text-xl font-semibold mt-1 text-blue-600">{money(totalWeighted)}</p>
+                </div>
+            </div>
+
+            <Card>
+                <CardHeader title="Pipeline" onAction={canEdit ? onAdd : null} actionIcon={Plus} actionLabel="Add Opportunity">
+                    <FilterSelect
+                        value={stageFilter}
+                        onChange={setStageFilter}
+                        options={[{ value: 'open', label: 'Open deals' }, ...OPPORTUNITY_STAGES]}
+                        placeholder="All stages"
+                    />
+                    <ExportButtons onExport={handleExport} />
+                </CardHeader>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Opportunity</Th>
+                                <Th>Partner</Th>
+                                <Th>Type</Th>
+                                <Th>Value</Th>
+                                <Th>Stage</Th>
+                                <Th>Probability</Th>
+                                <Th>{`Weighted (${baseCurrency})`}</Th>
+                                <Th>Expected Close</Th>
+                                <Th>Actions</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rows.length === 0 && (
+                                <tr>
+                                    <Td colSpan="9" className="text-center text-gray-500 py-8">No opportunities found.</Td>
+                                </tr>
+                            )}
+                            {rows.map(({ opportunity: o, weighted }) => {
+                                const isOpen = isOpenOpportunity(o);
+                                const slipped = isOpen && o.expectedCloseMonth < currentMonth;
+                                const invoiceNumber = o.incomeId && incomeData.find(i => i.id === o.incomeId)?.invoiceNumber;
+                                return (
+                                    <tr key={o.id}>
+                                        <Td>
+                                            <div className="font-medium text-gray-900">{o.name}</div>
+                                            {o.stage === 'won' && invoiceNumber && <div className="text-xs text-gray-500">Income {invoiceNumber}</div>}
+                                        </Td>
+                                        <Td>{getPartnerName(o.partnerId)}</Td>
+                                        <Td>{o.incomeType}</Td>
+                                        <Td>{formatCurrency(parseFloat(o.value) || 0, getIncomeCurrency(o))}</Td>
+                                        <Td>
+                                            <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${OPPORTUNITY_STAGE_STYLES[o.stage] || OPPORTUNITY_STAGE_STYLES.lead}`}>
+                                                {OPPORTUNITY_STAGES.find(s => s.value === o.stage)?.label || o.stage}
+                                            </span>
+                                        </Td>
+                                        <Td>{parseFloat(o.probability) || 0}%</Td>
+                                        <Td>{isOpen ? (weighted === null ? 'No rate' : money(weighted)) : '-'}</Td>
+                                        <Td className={slipped ? 'text-red-600' : ''}>
+                                            <span title={slipped ? 'Past its expected close; forecast in the current month' : undefined}>{o.expectedCloseMonth}</span>
+                                        </Td>
+                                        <Td>
+                                            <div className="flex space-x-2">
+                                                {isOpen && canConvert && (
+                                                    <IconButton onClick={() => onConvert(o)} icon={CheckSquare} className="text-green-600 hover:text-green-800" title="Won: convert to income" />
+                                                )}
+                                                {canEdit && o.stage !== 'won' && (
+                                                    <IconButton onClick={() => onEdit(o)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                                )}
+                                                {canEdit && o.stage !== 'won' && (
+                                                    <IconButton onClick={() => onDelete(o.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                                                )}
+                                                <IconButton onClick={() => onShowHistory(o)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
+                                            </div>
+                                        </Td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+
+// --- Approvals View ---
+// The approver's queue: other people's submitted entries, oldest first, then approved entries to post
+const ApprovalsView = ({ incomeData, partners, users, currentUserId, autoPost, onApprove, onReject, onPost, onEdit, onShowHistory }) => {
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const getUserName = (uid) => {
+        const user = users.find(u => u.id === uid);
+        return user?.displayName || user?.email || 'Unknown';
+    };
+
+    const submitted = incomeData
+        .filter(item => getIncomeStatus(item) === 'submitted')
+        .sort((a, b) => (a.submittedAt || a.createdAt || '').localeCompare(b.submittedAt || b.createdAt || ''));
+    const toReview = submitted.filter(item => item.submittedBy !== currentUserId);
+    const ownCount = submitted.length - toReview.length;
+    const toPost = incomeData
+        .filter(item => getIncomeStatus(item) === 'approved')
+        .sort((a, b) => (a.approvedAt || '').localeCompare(b.approvedAt || ''));
+
+    const renderTable = (rows, emptyMessage, renderActions) => (
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <Th>Invoice #</Th>
+                        <Th>Partner</Th>
+                        <Th>Type</Th>
+                        <Th>Value</Th>
+                        <Th>Start Date</Th>
+                        <Th>Submitted By</Th>
+                        <Th>Actions</Th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.length === 0 && (
+                        <tr>
+                            <Td colSpan="7" className="text-center text-gray-500 py-8">{emptyMessage}</Td>
+                        </tr>
+                    )}
+                    {rows.map(item => (
+                        <tr key={item.id}>
+                            <Td>{item.invoiceNumber}</Td>
+                            <Td>{getPartnerName(item.partnerId)}</Td>
+                            <Td>{item.incomeType}</Td>
+                            <Td>{formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}</Td>
+                            <Td>{item.agreementStartDate}</Td>
+                            <Td>
+                                {item.submittedBy ? getUserName(item.submittedBy) : 'Unknown'}
+                                {item.submittedAt && <div className="text-xs text-gray-500">{new Date(item.submittedAt).toLocaleDateString()}</div>}
+                            </Td>
+                            <Td>
+                                <div className="flex space-x-2">
+                                    {renderActions(item)}
+                                    <IconButton onClick={() => onEdit(item)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                    <IconButton onClick={() => onShowHistory(item)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
+                                </div>
+                            </Td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader title={`Waiting for Your Approval (${toReview.length})`} />
+                {renderTable(toReview, 'Nothing to review. You are all caught up.', (item) => (
+                    <>
+                        <IconButton onClick={() => onApprove(item.id)} icon={CheckSquare} className="text-green-600 hover:text-green-800" title={autoPost ? 'Approve and post' : 'Approve'} />
+                        <IconButton onClick={() => onReject(item)} icon={XCircle} className="text-red-600 hover:text-red-800" title="Reject" />
+                    </>
+                ))}
+                {ownCount > 0 && (
+                    <p className="p-4 md:px-6 text-sm text-gray-500 border-t border-gray-200">
+                        {ownCount} {ownCount === 1 ? 'entry' : 'entries'} you submitted {ownCount === 1 ? 'is' : 'are'} waiting for another approver.
+                    </p>
+                )}
+            </Card>
+            {!autoPost && (
+                <Card>
+                    <CardHeader title={`Approved, Ready to Post (${toPost.length})`} />
+                    {renderTable(toPost, 'No approved entries waiting to be posted.', (item) => (
+                        <IconButton onClick={() => onPost(item.id)} icon={Lock} className="text-green-600 hover:text-green-800" title="Post" />
+                    ))}
+                </Card>
+            )}
+        </div>
+    );
+};
+
+
+// --- Receivables View ---
+// Accounts receivable ageing by partner, plus the open invoices behind it
+// Outstanding amounts are converted to the base currency at today's rate
+const ReceivablesView = ({ incomeData, partners, exchangeRates, baseCurrency, canRecordPayments, onRecordPayment }) => {
+    const today = todayKey();
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+
+    const openInvoices = useMemo(() => (
+        incomeData
+            .filter(item => ['sent', 'partPaid', 'overdue'].includes(getInvoiceStatus(item, today)) && getOutstandingAmount(item) > 0)
+            .map(item => {
+                const daysOverdue = getDaysOverdue(item, today);
+                const outstanding = getOutstandingAmount(item);
+                const rate = getExchangeRate(exchangeRates, getIncomeCurrency(item), baseCurrency, today);
+                return {
+                    item,
+                    daysOverdue,
+                    bucket: getAgeingBucket(daysOverdue),
+                    outstanding,
+                    baseOutstanding: rate === null ? null : outstanding * rate,
+                };
+            })
+            .sort((a, b) => b.daysOverdue - a.daysOverdue)
+    ), [incomeData, exchangeRates, baseCurrency, today]);
+
+    const { partnerRows, totals, missingRateCount } = useMemo(() => {
+        const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(b => [b.key, 0]));
+        const byPartner = {};
+        const totals = { ...emptyBuckets(), total: 0 };
+        let missingRateCount = 0;
+        openInvoices.forEach(({ item, bucket, baseOutstanding }) => {
+            if (baseOutstanding === null) {
+                missingRateCount++;
+                return;
+            }
+            if (!byPartner[item.partnerId]) byPartner[item.partnerId] = { partnerId: item.partnerId, ...emptyBuckets(), total: 0 };
+            byPartner[item.partnerId][bucket] += baseOutstanding;
+            byPartner[item.partnerId].total += baseOutstanding;
+            totals[bucket] += baseOutstanding;
+            totals.total += baseOutstanding;
+        });
+        return { partnerRows: Object.values(byPartner).sort((a, b) => b.total - a.total), totals, missingRateCount };
+    }, [openInvoices]);
+
+    const handleExport = (format) => {
+        const bucketColumns = (row) => Object.fromEntries(AGEING_BUCKETS.map(b => [b.label, row[b.key]]));
+        const rows = partnerRows.map(row => ({ Partner: getPartnerName(row.partnerId), ...bucketColumns(row), Total: row.total }));
+        rows.push({ Partner: 'Total', ...bucketColumns(totals), Total: totals.total });
+        exportSheets(`ar-ageing-${today}`, [
+            { name: 'AR Ageing', rows, amountColumns: [...AGEING_BUCKETS.map(b => b.label), 'Total'] },
+        ], format).catch(e => console.error("Error exporting receivables: ", e));
+    };
+
+    const money = (amount) => (amount ? formatCurrency(amount, baseCurrency) : '-');
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader title={`AR Ageing in ${baseCurrency} (as of ${today})`}>
+                    <ExportButtons onExport={handleExport} />
+                </CardHeader>
+                {missingRateCount > 0 && (
+                    <p className="px-4 md:px-6 pt-4 text-sm text-yellow-800">
+                        {missingRateCount} open {missingRateCount === 1 ? 'invoice is' : 'invoices are'} left out of the ageing
+                        summary because there is no exchange rate to {baseCurrency}.
+                    </p>
+                )}
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Partner</Th>
+                                {AGEING_BUCKETS.map(bucket => <Th key={bucket.key}>{bucket.label}</Th>)}
+                                <Th>Total</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {partnerRows.length === 0 && (
+                                <tr>
+                                    <Td colSpan={AGEING_BUCKETS.length + 2} className="text-center text-gray-500 py-8">No outstanding invoices.</Td>
+                                </tr>
+                            )}
+                            {partnerRows.map(row => (
+                                <tr key={row.partnerId}>
+                                    <Td className="font-medium">{getPartnerName(row.partnerId)}</Td>
+                                    {AGEING_BUCKETS.map(bucket => (
+                                        <Td key={bucket.key} className={bucket.key !== 'current' && row[bucket.key] ? 'text-red-600' : ''}>{money(row[bucket.key])}</Td>
+                                    ))}
+                                    <Td className="font-semibold">{money(row.total)}</Td>
+                                </tr>
+                            ))}
+                            {partnerRows.length > 0 && (
+                                <tr className="bg-gray-50 font-semibold">
+                                    <Td>Total</Td>
+                                    {AGEING_BUCKETS.map(bucket => <Td key={bucket.key}>{money(totals[bucket.key])}</Td>)}
+                                    <Td>{money(totals.total)}</Td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+
+            <Card>
+                <CardHeader title="Open Invoices" />
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Invoice #</Th>
+                                <Th>Partner</Th>
+                                <Th>Issued</Th>
+                                <Th>Due</Th>
+                                <Th>Days Overdue</Th>
+                                <Th>Invoiced</Th>
+                                <Th>Paid</Th>
+                                <Th>Outstanding</Th>
+                                <Th>Status</Th>
+                                {canRecordPayments && <Th>Actions</Th>}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {openInvoices.length === 0 && (
+                                <tr>
+                                    <Td colSpan="10" className="text-center text-gray-500 py-8">No outstanding invoices.</Td>
+                                </tr>
+                            )}
+                            {openInvoices.map(({ item, daysOverdue, outstanding }) => (
+                                <tr key={item.id}>
+                                    <Td>{item.invoiceNumber}</Td>
+                                    <Td>{getPartnerName(item.partnerId)}</Td>
+                                    <Td>{item.invoiceIssueDate || '-'}</Td>
+                                    <Td>{item.invoiceDueDate || '-'}</Td>
+                                    <Td className={daysOverdue > 0 ? 'text-red-600' : ''}>{daysOverdue > 0 ? daysOverdue : '-'}</Td>
+                                    <Td>{formatCurrency(getInvoiceTotal(item), getIncomeCurrency(item))}</Td>
+                                    <Td>{formatCurrency(getPaidAmount(item), getIncomeCurrency(item))}</Td>
+                                    <Td className="font-semibold">{formatCurrency(outstanding, getIncomeCurrency(item))}</Td>
+                                    <Td><InvoiceStatusBadge status={getInvoiceStatus(item, today)} /></Td>
+                                    {canRecordPayments && (
+                                        <Td>
+                                            <IconButton onClick={() => onRecordPayment(item)} icon={Coins} className="text-emerald-600 hover:text-emerald-800" title="Payments" />
+                                        </Td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
 
 // --- Budget Management View ---
-const BudgetManagementView = ({ budgetData, onSaveBudget }) => {
-    // Target date range
-    const startDate = new Date('2025-10-01T00:00:00Z');
-    const endDate = new Date('2026-09-30T23:59:59Z');
-
-    const months = useMemo(() => {
-        let arr = [];
-        let currentDate = new Date(startDate);
-        while (currentDate <= endDate) {
-            arr.push({
-                key: currentDate.toISOString().substring(0, 7), // "YYYY-MM"
-                name: currentDate.toLocaleString('default', { month: 'long', year: 'numeric' })
-            });
-            currentDate.setUTCMonth(currentDate.getUTCMonth() + 1);
-        }
-        return arr;
-    }, [startDate, endDate]);
+const BudgetManagementView = ({
+    budgetData, budgetVersions, selectedVersion, onSelectVersion, onAddVersion, canLock, onSetVersionLocked,
+    incomeTypes, incomeData, exchangeRates, financialYear, fyStartMonth, baseCurrency, readOnly, canAddVersion,
+    isCopying, onFinishCopy, onSaveBudgets, onImport
+}) => {
+    const months = useMemo(
+        () => getFinancialYearMonths(financialYear, fyStartMonth),
+        [financialYear, fyStartMonth]
+    );
+    const priorMonths = useMemo(
+        () => getFinancialYearMonths(financialYear - 1, fyStartMonth),
+        [financialYear, fyStartMonth]
+    );
+
+    // Active types get a column; inactive types keep theirs while they hold budget in this year
+    const budgetTypes = useMemo(() => incomeTypes.filter(type => (
+        type.active !== false
+        || budgetData.some(b => b.type === type.name && months.some(m => m.key === b.month) && parseFloat(b.value))
+    )), [incomeTypes, budgetData, months]);
 
     const getBudgetValue = (monthKey, type) => {
         const entry = budgetData.find(b => b.month === monthKey && b.type === type);
         return entry ? entry.value : '';
     };
 
-    // Use state to manage input changes before saving on blur
+    // Edits stay local until Save Changes writes them in one batch. history holds the cell values
+    // before each operation (typing in a cell, paste, fill, spread) for Undo.
     const [localBudgets, setLocalBudgets] = useState({});
+    const [history, setHistory] = useState([]);
+    const [activeCell, setActiveCell] = useState(null); // { row, col }
+    const [annualTotals, setAnnualTotals] = useState({});
+    const [spreadProfile, setSpreadProfile] = useState('even');
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+    const cellRefs = useRef({});
+    const typingSnapshot = useRef(null);
 
-    const handleBudgetChange = (monthKey, type, value) => {
-        const id = `${monthKey}-${type}`;
-        setLocalBudgets(prev => ({ ...prev, [id]: value }));
-    };
+    const cellId = (monthKey, type) => `${monthKey}-${type}`;
 
-    const handleBudgetSave = (monthKey, type) => {
-        const id = `${monthKey}-${type}`;
-        const value = localBudgets[id];
-        
-        // Only save if the value is defined (i.e., it was changed)
-        // or if it's not in local state, use the DB value (to handle tabbing without changes)
-        let valueToSave;
-        if (value !== undefined) {
-            valueToSave = value;
-        } else {
-            valueToSave = getBudgetValue(monthKey, type);
-        }
-        
-        onSaveBudget(monthKey, type, valueToSave);
-    };
-    
     const getLocalOrDbValue = (monthKey, type) => {
-        const id = `${monthKey}-${type}`;
+        const id = cellId(monthKey, type);
         return localBudgets[id] !== undefined ? localBudgets[id] : getBudgetValue(monthKey, type);
     }
 
+    const isDirty = (monthKey, type) => {
+        const local = localBudgets[cellId(monthKey, type)];
+        return local !== undefined && (parseFloat(local) || 0) !== (parseFloat(getBudgetValue(monthKey, type)) || 0);
+    };
+
+    const changes = months.flatMap(month => budgetTypes
+        .filter(type => isDirty(month.key, type.name))
+        .map(type => ({ month: month.key, type: type.name, value: localBudgets[cellId(month.key, type.name)] })));
+
+    // Apply one undoable operation: updates maps cell IDs to new values
+    const applyEdit = (updates) => {
+        setHistory(prev => [...prev.slice(-19), localBudgets]);
+        setLocalBudgets(prev => ({ ...prev, ...updates }));
+    };
+
+    const handleUndo = () => {
+        if (history.length === 0) return;
+        setLocalBudgets(history[history.length - 1]);
+        setHistory(prev => prev.slice(0, -1));
+    };
+
+    const handleDiscard = () => {
+        setLocalBudgets({});
+        setHistory([]);
+        setSaveError('');
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await onSaveBudgets(changes);
+            setLocalBudgets({});
+            setHistory([]);
+        } catch (e) {
+            console.error("Error saving budgets: ", e);
+            setSaveError(`The changes could not be saved, but they are still here. ${getErrorMessage(e)}`);
+        }
+        setIsSaving(false);
+    };
+
+    // Typing in a cell is one operation, however many keystrokes it takes
+    const handleCellFocus = (row, col) => {
+        setActiveCell({ row, col });
+        typingSnapshot.current = localBudgets;
+    };
+
+    const handleCellChange = (monthKey, type, value) => {
+        if (typingSnapshot.current) {
+            const snapshot = typingSnapshot.current;
+            setHistory(prev => [...prev.slice(-19), snapshot]);
+            typingSnapshot.current = null;
+        }
+        setLocalBudgets(prev => ({ ...prev, [cellId(monthKey, type)]: value }));
+    };
+
+    const focusCell = (row, col) => {
+        const input = cellRefs.current[`${row}:${col}`];
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    };
+
+    const fillDown = (row, col) => {
+        const type = budgetTypes[col].name;
+        const value = getLocalOrDbValue(months[row].key, type);
+        applyEdit(Object.fromEntries(months.slice(row + 1).map(month => [cellId(month.key, type), value])));
+    };
+
+    const fillRight = (row, col) => {
+        const monthKey = months[row].key;
+        const value = getLocalOrDbValue(monthKey, budgetTypes[col].name);
+        applyEdit(Object.fromEntries(budgetTypes.slice(col + 1).map(type => [cellId(monthKey, type.name), value])));
+    };
+
+    // Arrow keys and Enter move between cells (left/right only from the ends of the text);
+    // Ctrl+D and Ctrl+R fill down and right as in Excel
+    const handleCellKeyDown = (e, row, col) => {
+        const { selectionStart, selectionEnd, value } = e.target;
+        const shortcut = e.ctrlKey || e.metaKey;
+        if (shortcut && e.key.toLowerCase() === 'd') {
+            e.preventDefault();
+            fillDown(row, col);
+        } else if (shortcut && e.key.toLowerCase() === 'r') {
+            e.preventDefault();
+            fillRight(row, col);
+        } else if (e.key === 'ArrowUp' && row > 0) {
+            e.preventDefault();
+            focusCell(row - 1, col);
+        } else if ((e.key === 'ArrowDown' || e.key === 'Enter') && row < months.length - 1) {
+            e.preventDefault();
+            focusCell(row + 1, col);
+        } else if (e.key === 'ArrowLeft' && col > 0 && selectionStart === 0 && selectionEnd === 0) {
+            e.preventDefault();
+            focusCell(row, col - 1);
+        } else if (e.key === 'ArrowRight' && col < budgetTypes.length - 1 && selectionStart === String(value).length) {
+            e.preventDefault();
+            focusCell(row, col + 1);
+        }
+    };
+
+    // Pasting a block copied from Excel (tab-separated rows) fills the cells from here down and right
+    const handleCellPaste = (e, row, col) => {
+        const text = e.clipboardData.getData('text/plain');
+        const pastedRows = text.replace(/\r/g, '').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+        e.preventDefault();
+        const updates = {};
+        pastedRows.forEach((cells, r) => {
+            cells.forEach((cell, c) => {
+                const month = months[row + r];
+                const type = budgetTypes[col + c];
+                if (!month || !type) return;
+                const value = parseImportNumber(cell);
+                updates[cellId(month.key, type.name)] = isNaN(value) ? '' : String(value);
+            });
+        });
+        applyEdit(updates);
+    };
+
+    // Last year's posted income by month and type in the base currency, for the seasonal spread
+    const priorActuals = useMemo(() => {
+        const totals = {};
+        incomeData.filter(item => item.status === 'posted').forEach(item => {
+            const { amounts } = getRecognisedBaseAmounts(item, exchangeRates, baseCurrency);
+            Object.entries(amounts).forEach(([month, amount]) => {
+                const id = `${month}-${item.incomeType}`;
+                totals[id] = (totals[id] || 0) + amount;
+            });
+        });
+        return totals;
+    }, [incomeData, exchangeRates, baseCurrency]);
+
+    const handleSpread = (type) => {
+        const total = parseImportNumber(annualTotals[type]);
+        if (isNaN(total)) return;
+        const weights = priorMonths.map(month => {
+            if (spreadProfile === 'priorBudget') return parseFloat(getBudgetValue(month.key, type)) || 0;
+            if (spreadProfile === 'priorActuals') return priorActuals[cellId(month.key, type)] || 0;
+            return 1;
+        });
+        const amounts = spreadAmount(total, weights);
+        applyEdit(Object.fromEntries(months.map((month, i) => [cellId(month.key, type), String(amounts[i])])));
+    };
+
+    const handleExport = (format) => {
+        const rows = months.map(month => {
+            const row = { 'Month': month.key };
+            budgetTypes.forEach(type => {
+                row[`${type.name} Budget`] = parseFloat(getLocalOrDbValue(month.key, type.name)) || 0;
+            });
+            row['Total Monthly Budget'] = budgetTypes.reduce((sum, type) => sum + row[`${type.name} Budget`], 0);
+            return row;
+        });
+        exportSheets(
+            `budgets-${selectedVersion.name.replace(/\W+/g, '-')}-${getFinancialYearShortLabel(financialYear, fyStartMonth).replace(/[ /]/g, '-')}`,
+            [{ name: 'Budgets', rows, amountColumns: [...budgetTypes.map(type => `${type.name} Budget`), 'Total Monthly Budget'] }],
+            format
+        ).catch(e => console.error("Error exporting budgets: ", e));
+    };
+
     return (
         <Card>
-            <CardHeader title="Budget Manager (Oct 2025 - Sep 2026)" />
+            <CardHeader title={`Budget Manager (${getFinancialYearLabel(financialYear, fyStartMonth)}, ${baseCurrency})`}>
+                <select
+                    value={selectedVersion.id}
+                    onChange={(e) => onSelectVersion(e.target.value)}
+                    className={FILTER_INPUT_CLASS}
+                    title="Budget version"
+                >
+                    {budgetVersions.map(version => (
+                        <option key={version.id} value={version.id}>{version.name}{version.locked ? ' (locked)' : ''}</option>
+                    ))}
+                </select>
+                {canAddVersion && <Button onClick={onAddVersion} icon={Plus} label="New Version" variant="secondary" />}
+                {canLock && (
+                    <Button
+                        onClick={() => onSetVersionLocked(selectedVersion.id, !selectedVersion.locked)}
+                        icon={Lock}
+                        label={selectedVersion.locked ? 'Unlock' : 'Lock'}
+                        variant="secondary"
+                    />
+                )}
+                <ExportButtons onExport={handleExport} />
+                {!readOnly && <Button onClick={onImport} icon={Upload} label="Import" variant="secondary" />}
+            </CardHeader>
+            {selectedVersion.locked && (
+                <p className="px-4 md:px-6 pt-4 text-sm text-gray-600 flex items-center">
+                    <Lock size={14} className="mr-2" />
+                    {selectedVersion.name} is locked as approved. An admin must unlock it before it can be changed.
+                </p>
+            )}
+            {selectedVersion.copying && (
+                <div className="px-4 md:px-6 pt-4 text-sm text-gray-600 flex items-center gap-3">
+                    <span>
+                        {isCopying
+                            ? `Copying the budget rows from ${budgetVersions.find(v => v.id === selectedVersion.copiedFrom)?.name || 'the source version'}...`
+                            : `Not every budget row has been copied into ${selectedVersion.name} yet. It can't be edited until the copy is finished.`}
+                    </span>
+                    {!isCopying && canAddVersion && <Button label="Finish Copying" onClick={onFinishCopy} variant="secondary" />}
+                </div>
+            )}
+            {!readOnly && (
+                <div className="px-4 md:px-6 pt-4 flex flex-wrap items-center gap-2">
+                    <Button label="Fill Down" onClick={() => activeCell && fillDown(activeCell.row, activeCell.col)} variant="secondary" disabled={!activeCell} />
+                    <Button label="Fill Right" onClick={() => activeCell && fillRight(activeCell.row, activeCell.col)} variant="secondary" disabled={!activeCell} />
+                    <Button label="Undo" icon={RotateCcw} onClick={handleUndo} variant="secondary" disabled={history.length === 0} />
+                    <span className="flex-1 text-xs text-gray-500">
+                        Paste a block of cells from Excel, use the arrow keys to move, Ctrl+D / Ctrl+R to fill.
+                    </span>
+                    <Button label="Discard" onClick={handleDiscard} variant="secondary" disabled={changes.length === 0 || isSaving} />
+                    <Button
+                        label={isSaving ? 'Saving...' : `Save Changes${changes.length > 0 ? ` (${changes.length})` : ''}`}
+                        onClick={handleSave}
+                        disabled={changes.length === 0}
+                        saving={isSaving}
+                    />
+                </div>
+            )}
+            {saveError && <p className="px-4 md:px-6 pt-2 text-sm text-red-600">{saveError}</p>}
              <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50">
                         <tr>
                             <Th>Month</Th>
-                            <Th>Procurement Income Budget</Th>
-                            <Th>Consultancy Budget</Th>
+                            {budgetTypes.map(type => <Th key={type.name}>{type.name} Budget</Th>)}
                             <Th>Total Monthly Budget</Th>
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                        {months.map(month => {
-                            const procBudget = getLocalOrDbValue(month.key, 'Procurement Income');
-                            const consBudget = getLocalOrDbValue(month.key, 'Consultancy');
-                            const total = (parseFloat(procBudget) || 0) + (parseFloat(consBudget) || 0);
+                        {months.map((month, row) => {
+                            const total = budgetTypes.reduce(
+                                (sum, type) => sum + (parseFloat(getLocalOrDbValue(month.key, type.name)) || 0), 0
+                            );
 
                             return (
                                 <tr key={month.key}>
                                     <Td className="font-medium">{month.name}</Td>
-                                    <Td>
-                                        <BudgetInput
-                                            value={procBudget}
-                                            onChange={(e) => handleBudgetChange(month.key, 'Procurement Income', e.target.value)}
-                                            onBlur={() => handleBudgetSave(month.key, 'Procurement Income')}
-                                        />
-                                    </Td>
-                                    <Td>
-                                        <BudgetInput
-                                            value={consBudget}
-                                            onChange={(e) => handleBudgetChange(month.key, 'Consultancy', e.target.value)}
-                                            onBlur={() => handleBudgetSave(month.key, 'Consultancy')}
-                                        />
-                                    </Td>
-                                    <Td>${total.toLocaleString()}</Td>
+                                    {budgetTypes.map((type, col) => {
+                                        const budget = getLocalOrDbValue(month.key, type.name);
+                                        return (
+                                            <Td key={type.name}>
+                                                {readOnly ? formatCurrency(parseFloat(budget) || 0, baseCurrency) : (
+                                                    <BudgetInput
+                                                        inputRef={(input) => { cellRefs.current[`${row}:${col}`] = input; }}
+                                                        value={budget}
+                                                        currency={baseCurrency}
+                                                        dirty={isDirty(month.key, type.name)}
+                                                        onChange={(e) => handleCellChange(month.key, type.name, e.target.value)}
+                                                        onFocus={() => handleCellFocus(row, col)}
+                                                        onKeyDown={(e) => handleCellKeyDown(e, row, col)}
+                                                        onPaste={(e) => handleCellPaste(e, row, col)}
+                                                    />
+                                                )}
+                                            </Td>
+                                        );
+                                    })}
+                                    <Td>{formatCurrency(total, baseCurrency)}</Td>
                                 </tr>
                             );
                         })}
                     </tbody>
+                    <tfoot className="bg-gray-50 font-semibold">
+                        <tr>
+                            <Td>Annual Total</Td>
+                            {budgetTypes.map(type => (
+                                <Td key={type.name}>
+                                    {formatCurrency(months.reduce((sum, month) => sum + (parseFloat(getLocalOrDbValue(month.key, type.name)) || 0), 0), baseCurrency)}
+                                </Td>
+                            ))}
+                            <Td>
+                                {formatCurrency(months.reduce((sum, month) => sum + budgetTypes.reduce(
+                                    (typeSum, type) => typeSum + (parseFloat(getLocalOrDbValue(month.key, type.name)) || 0), 0
+                                ), 0), baseCurrency)}
+                            </Td>
+                        </tr>
+                        {!readOnly && (
+                            <tr>
+                                <Td>
+                                    <span className="block font-normal text-gray-600 mb-1">Spread annual total</span>
+                                    <select
+                                        value={spreadProfile}
+                                        onChange={(e) => setSpreadProfile(e.target.value)}
+                                        className={FILTER_INPUT_CLASS}
+                                        title="Spread profile"
+                                    >
+                                        {BUDGET_SPREAD_PROFILES.map(profile => (
+                                            <option key={profile.value} value={profile.value}>{profile.label}</option>
+                                        ))}
+                                    </select>
+                                </Td>
+                                {budgetTypes.map(type => (
+                                    <Td key={type.name}>
+                                        <div className="flex items-center space-x-2 font-normal">
+                                            <input
+                                                type="text"
+                                                inputMode="decimal"
+                                                className={`${FILTER_INPUT_CLASS} w-28`}
+                                                value={annualTotals[type.name] || ''}
+                                                onChange={(e) => setAnnualTotals(prev => ({ ...prev, [type.name]: e.target.value }))}
+                                                placeholder="Annual total"
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => handleSpread(type.name)}
+                                                className="text-sm text-blue-600 hover:underline"
+                                            >
+                                                Spread
+                                            </button>
+                                        </div>
+                                    </Td>
+                                ))}
+                                <Td />
+                            </tr>
+                        )}
+                    </tfoot>
                 </table>
             </div>
         </Card>
     );
 };
 
-const BudgetInput = ({ value, onChange, onBlur }) => (
+// Text rather than number input, so the grid can read the caret position and take pasted "£1,000"
+const BudgetInput = ({ inputRef, value, currency, dirty, onChange, onFocus, onKeyDown, onPaste }) => (
     <div className="relative">
-        <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">$</span>
+        <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">{getCurrencySymbol(currency)}</span>
         <input
-            type="number"
-            className="pl-7 pr-3 py-2 w-full border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            ref={inputRef}
+            type="text"
+            inputMode="decimal"
+            className={`pl-7 pr-3 py-2 w-full border rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm ${dirty ? 'bg-yellow-50 border-yellow-400' : 'border-gray-300'}`}
             value={value}
             onChange={onChange}
-            onBlur={onBlur} // Save on blur
+            onFocus={onFocus}
+            onKeyDown={onKeyDown}
+            onPaste={onPaste}
             placeholder="0"
         />
     </div>
@@ -772,7 +4552,7 @@ const BudgetInput = ({ value, onChange, onBlur }) => (
 
 
 // --- Partner Management View ---
-const PartnerManagementView = ({ partners, onAdd, onEdit, onDelete }) => {
+const PartnerManagementView = ({ partners, canEdit, onOpen, onAdd, onEdit, onDelete, onShowHistory }) => {
     const customers = partners.filter(p => p.type === 'customer');
     const suppliers = partners.filter(p => p.type === 'supplier');
 
@@ -781,24 +4561,30 @@ const PartnerManagementView = ({ partners, onAdd, onEdit, onDelete }) => {
             <PartnerList
                 title="Customers"
                 partners={customers}
+                canEdit={canEdit}
+                onOpen={onOpen}
                 onAdd={() => onAdd('customer')}
                 onEdit={onEdit}
                 onDelete={onDelete}
+                onShowHistory={onShowHistory}
             />
             <PartnerList
                 title="Suppliers"
                 partners={suppliers}
+                canEdit={canEdit}
+                onOpen={onOpen}
                 onAdd={() => onAdd('supplier')}
                 onEdit={onEdit}
                 onDelete={onDelete}
+                onShowHistory={onShowHistory}
             />
         </div>
     );
 };
 
-const PartnerList = ({ title, partners, onAdd, onEdit, onDelete }) => (
+const PartnerList = ({ title, partners, canEdit, onOpen, onAdd, onEdit, onDelete, onShowHistory }) => (
     <Card>
-        <CardHeader title={title} onAction={onAdd} actionIcon={Plus} actionLabel={`Add ${title}`} />
+        <CardHeader title={title} onAction={canEdit ? onAdd : null} actionIcon={Plus} actionLabel={`Add ${title}`} />
         <ul className="divide-y divide-gray-200">
             {partners.length === 0 && (
                 <li className="p-4 text-center text-gray-500">No {title.toLowerCase()} found.</li>
@@ -806,12 +4592,26 @@ const PartnerList = ({ title, partners, onAdd, onEdit, onDelete }) => (
             {partners.map(partner => (
                 <li key={partner.id} className="p-4 flex justify-between items-center">
                     <div>
-                        <div className="font-medium text-gray-900">{partner.name}</div>
-                        <div className="text-sm text-gray-500">{partner.contactName} - {partner.contactEmail}</div>
+                        <div className="font-medium text-gray-900">
+                            <button onClick={() => onOpen(partner)} className="hover:text-blue-600 hover:underline" title="Open profile">
+                                {partner.name}
+                            </button>
+                            {partner.active === false && (
+                                <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-600">Inactive</span>
+                            )}
+                        </div>
+                        {getPartnerContacts(partner)[0] && (
+                            <div className="text-sm text-gray-500">{getPartnerContacts(partner)[0].name} - {getPartnerContacts(partner)[0].email}</div>
+                        )}
                     </div>
                     <div className="flex space-x-2">
-                        <IconButton onClick={() => onEdit(partner)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
-                        <IconButton onClick={() => onDelete(partner.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                        {canEdit && (
+                            <>
+                                <IconButton onClick={() => onEdit(partner)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                <IconButton onClick={() => onDelete(partner.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                            </>
+                        )}
+                        <IconButton onClick={() => onShowHistory(partner)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
                     </div>
                 </li>
             ))}
@@ -820,283 +4620,2231 @@ const PartnerList = ({ title, partners, onAdd, onEdit, onDelete }) => (
 );
 
 
-// --- Reusable UI Components ---
-const Card = ({ children }) => (
-    <div className="bg-white shadow-md rounded-lg overflow-hidden">
-        {children}
-    </div>
-);
+// --- Partner Profile View ---
+// One partner's details and contacts, with every linked income entry and its revenue by month
+const PartnerProfileView = ({
+    partner, incomeData, exchangeRates, baseCurrency, financialYear, fyStartMonth, can,
+    onBack, onEdit, onShowHistory, onEditIncome, onShowIncomeHistory
+}) => {
+    const today = todayKey();
+    const months = useMemo(() => getFinancialYearMonths(financialYear, fyStartMonth), [financialYear, fyStartMonth]);
+    const contacts = getPartnerContacts(partner);
+    const money = (amount) => formatCurrency(amount, baseCurrency);
 
-const CardHeader = ({ title, onAction, actionIcon: Icon, actionLabel }) => (
-    <div className="p-4 md:p-6 border-b border-gray-200 flex justify-between items-center">
-        <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
-        {onAction && (
-            <Button onClick={onAction} icon={Icon} label={actionLabel} />
-        )}
-    </div>
-);
+    const linkedIncome = useMemo(() => (
+        incomeData
+            .filter(item => item.partnerId === partner.id)
+            .sort((a, b) => (b.agreementStartDate || '').localeCompare(a.agreementStartDate || ''))
+    ), [incomeData, partner.id]);
+
+    // Lifetime and FY-to-date are posted income as recognised, in the base currency; outstanding is
+    // what is still owed on issued invoices, at today's rate
+    const { lifetime, fyToDate, outstanding, monthlyData, missingRateCount } = useMemo(() => {
+        const currentMonth = today.substring(0, 7);
+        const byMonth = Object.fromEntries(months.map(m => [m.key, 0]));
+        let lifetime = 0;
+        let fyToDate = 0;
+        let outstanding = 0;
+        let missingRateCount = 0;
+        linkedIncome.forEach(item => {
+            if (item.status === 'posted') {
+                const { amounts, missingMonths } = getRecognisedBaseAmounts(item, exchangeRates, baseCurrency);
+                if (missingMonths.length > 0) missingRateCount++;
+                Object.entries(amounts).forEach(([month, amount]) => {
+                    lifetime += amount;
+                    if (month in byMonth) {
+                        byMonth[month] += amount;
+                        if (month <= currentMonth) fyToDate += amount;
+                    }
+                });
+            }
+            if (['sent', 'partPaid', 'overdue'].includes(getInvoiceStatus(item, today))) {
+                const rate = getExchangeRate(exchangeRates, getIncomeCurrency(item), baseCurrency, today);
+                if (rate === null) missingRateCount++;
+                else outstanding += getOutstandingAmount(item) * rate;
+            }
+        });
+        const monthlyData = months.map(m => ({ name: m.key, Income: byMonth[m.key] }));
+        return { lifetime, fyToDate, outstanding, monthlyData, missingRateCount };
+    }, [linkedIncome, months, exchangeRates, baseCurrency, today]);
+
+    const details = [
+        ['Type', PARTNER_TYPES.find(t => t.value === partner.type)?.label || partner.type],
+        ['VAT Number', partner.vatNumber],
+        ['Payment Terms', `${parseInt(partner.paymentTermsDays, 10) || DEFAULT_PAYMENT_TERMS_DAYS} days`],
+    ];
 
-const Button = ({ onClick, label, icon: Icon, variant = 'primary', type = 'button' }) => {
-    const variants = {
-        primary: 'bg-blue-600 text-white hover:bg-blue-700',
-        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300',
-        danger: 'bg-red-600 text-white hover:bg-red-700',
-    };
     return (
-        <button
-            type={type}
-            onClick={onClick}
-            className={`flex items-center justify-center px-4 py-2 rounded-md font-medium shadow-sm transition-colors ${variants[variant]}`}
-        >
-            {Icon && <Icon size={18} className="mr-2" />}
-            {label}
-        </button>
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <div className="flex items-center">
+                    <button onClick={onBack} className="text-sm text-blue-600 hover:underline mr-4">&larr; All partners</button>
+                    <h2 className="text-xl font-semibold text-gray-700">{partner.name}</h2>
+                    {partner.active === false && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                </div>
+                <div className="flex space-x-2">
+                    {can('partners:write') && (
+                        <IconButton onClick={() => onEdit(partner)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                    )}
+                    <IconButton onClick={() => onShowHistory(partner)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
+                </div>
+            </div>
+
+            {missingRateCount > 0 && (
+                <div className="p-3 rounded-md bg-yellow-50 text-sm text-yellow-800">
+                    {missingRateCount} {missingRateCount === 1 ? 'entry is' : 'entries are'} partly left out of the totals because there is
+                    no exchange rate to {baseCurrency} for {missingRateCount === 1 ? 'its' : 'their'} currency. Add the rate under Settings.
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <KpiCard title="Lifetime Income (Posted)" value={money(lifetime)} />
+                <KpiCard title={`${getFinancialYearShortLabel(financialYear, fyStartMonth)} to Date`} value={money(fyToDate)} />
+                <KpiCard title="Outstanding" value={money(outstanding)} className={outstanding > 0 ? 'text-red-600' : 'text-gray-900'} />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <Card>
+                    <CardHeader title="Details" />
+                    <dl className="p-4 md:p-6 space-y-3 text-sm">
+                        {details.map(([label, value]) => (
+                            <div key={label}>
+                                <dt className="font-medium text-gray-500">{label}</dt>
+                                <dd className="text-gray-900">{value || '—'}</dd>
+                            </div>
+                        ))}
+                        <div>
+                            <dt className="font-medium text-gray-500">Billing Address</dt>
+                            <dd className="text-gray-900 whitespace-pre-line">{partner.billingAddress || '—'}</dd>
+                        </div>
+                        <div>
+                            <dt className="font-medium text-gray-500">Notes</dt>
+                            <dd className="text-gray-900 whitespace-pre-line">{partner.notes || '—'}</dd>
+                        </div>
+                    </dl>
+                </Card>
+                <Card>
+                    <CardHeader title="Contacts" />
+                    <ul className="divide-y divide-gray-200">
+                        {contacts.length === 0 && (
+                            <li className="p-4 text-center text-gray-500">No contacts yet.</li>
+                        )}
+                        {contacts.map((contact, i) => (
+                            <li key={i} className="p-4 text-sm">
+                                <div className="flex items-center">
+                                    <span className="font-medium text-gray-900">{contact.name || 'Unnamed'}</span>
+                                    {contact.role && (
+                                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">{contact.role}</span>
+                                    )}
+                                </div>
+                                {contact.email && <a href={`mailto:${contact.email}`} className="block text-blue-600 hover:underline">{contact.email}</a>}
+                                {contact.phone && <div className="text-gray-500">{contact.phone}</div>}
+                            </li>
+                        ))}
+                    </ul>
+                </Card>
+                <ChartCard title="Recognised Income by Month (Posted)">
+                    <ResponsiveContainer width="100%" height={220}>
+                        <BarChart data={monthlyData}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+                            <YAxis tick={{ fontSize: 10 }} />
+                            <Tooltip formatter={(value) => money(value)} />
+                            <Bar dataKey="Income" fill="#3b82f6" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </ChartCard>
+            </div>
+
+            <Card>
+                <CardHeader title={`Income Entries (${linkedIncome.length})`} />
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Status</Th>
+                                <Th>Invoice #</Th>
+                                <Th>Invoice</Th>
+                                <Th>Type</Th>
+                                <Th>Value</Th>
+                                <Th>Outstanding</Th>
+                                <Th>Start Date</Th>
+                                <Th>Actions</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {linkedIncome.length === 0 && (
+                                <tr>
+                                    <Td colSpan="8" className="text-center text-gray-500 py-8">No income linked to this partner.</Td>
+                                </tr>
+                            )}
+                            {linkedIncome.map(item => (
+                                <tr key={item.id}>
+                                    <Td><IncomeStatusBadge status={getIncomeStatus(item)} /></Td>
+                                    <Td>{item.invoiceNumber}</Td>
+                                    <Td><InvoiceStatusBadge status={getInvoiceStatus(item, today)} /></Td>
+                                    <Td>{item.incomeType}</Td>
+                                    <Td>{formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}</Td>
+                                    <Td>{getOutstandingAmount(item) > 0 ? formatCurrency(getOutstandingAmount(item), getIncomeCurrency(item)) : '-'}</Td>
+                                    <Td>{item.agreementStartDate}</Td>
+                                    <Td>
+                                        <div className="flex space-x-2">
+                                            {canEditIncome(item, can) && (
+                                                <IconButton onClick={() => onEditIncome(item)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                            )}
+                                            <IconButton onClick={() => onShowIncomeHistory(item)} icon={History} className="text-gray-500 hover:text-gray-800" title="History" />
+                                        </div>
+                                    </Td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+
+// --- Trash View ---
+const TrashView = ({ incomeData, partners, users, onRestore, onPurge }) => {
+    const byDeletedAt = (a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || '');
+    const archivedIncome = useMemo(() => incomeData.filter(i => i.archived).sort(byDeletedAt), [incomeData]);
+    const archivedPartners = useMemo(() => partners.filter(p => p.archived).sort(byDeletedAt), [partners]);
+
+    const getPartnerName = (id) => partners.find(p => p.id === id)?.name || 'Unknown';
+    const getUserName = (uid) => users.find(u => u.id === uid)?.email || uid || '—';
+    const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+    const renderActions = (entityType, id) => (
+        <div className="flex space-x-2">
+            <IconButton onClick={() => onRestore(entityType, id)} icon={RotateCcw} className="text-green-600 hover:text-green-800" title="Restore" />
+            <IconButton onClick={() => onPurge(entityType, id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete Permanently" />
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader title="Deleted Income" />
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Invoice #</Th>
+                                <Th>Partner</Th>
+                                <Th>Type</Th>
+                                <Th>Value</Th>
+                                <Th>Deleted By</Th>
+                                <Th>Deleted At</Th>
+                                <Th>Actions</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {archivedIncome.length === 0 && (
+                                <tr>
+                                    <Td colSpan="7" className="text-center text-gray-500 py-8">No deleted income entries.</Td>
+                                </tr>
+                            )}
+                            {archivedIncome.map(item => (
+                                <tr key={item.id}>
+                                    <Td>{item.invoiceNumber}</Td>
+                                    <Td>{getPartnerName(item.partnerId)}</Td>
+                                    <Td>{item.incomeType}</Td>
+                                    <Td>{formatCurrency(parseFloat(item.value) || 0, getIncomeCurrency(item))}</Td>
+                                    <Td>{getUserName(item.deletedBy)}</Td>
+                                    <Td>{formatDate(item.deletedAt)}</Td>
+                                    <Td>{renderActions('income', item.id)}</Td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+            <Card>
+                <CardHeader title="Deleted Partners" />
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Name</Th>
+                                <Th>Type</Th>
+                                <Th>Deleted By</Th>
+                                <Th>Deleted At</Th>
+                                <Th>Actions</Th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {archivedPartners.length === 0 && (
+                                <tr>
+                                    <Td colSpan="5" className="text-center text-gray-500 py-8">No deleted partners.</Td>
+                                </tr>
+                            )}
+                            {archivedPartners.map(partner => (
+                                <tr key={partner.id}>
+                                    <Td>{partner.name}</Td>
+                                    <Td className="capitalize">{partner.type}</Td>
+                                    <Td>{getUserName(partner.deletedBy)}</Td>
+                                    <Td>{formatDate(partner.deletedAt)}</Td>
+                                    <Td>{renderActions('partner', partner.id)}</Td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+
+// --- Settings View ---
+const SettingsView = ({
+    settings, approvalAutoPost, fyStartMonth, baseCurrency, exchangeRates, incomeTypes, readOnly, canEditRates,
+    onSaveSettings, onSaveExchangeRate, onDeleteExchangeRate, onImportExchangeRates, onAddIncomeType, onEditIncomeType
+}) => {
+    const [invoiceFormat, setInvoiceFormat] = useState(settings.invoiceFormat || DEFAULT_INVOICE_FORMAT);
+    const resetPerFy = settings.invoiceResetPerFy !== false;
+
+    // Without a sequence token every invoice would get the same number
+    const formatError = invoiceFormat.match(INVOICE_SEQUENCE_TOKEN) ? '' : 'The format must include {SEQ} or {SEQ:n}.';
+    const preview = formatInvoiceNumber(invoiceFormat, { sequence: 42, financialYear: getCurrentFinancialYear(fyStartMonth) });
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader title="Financial Year" />
+                <div className="p-4 md:p-6 space-y-4 max-w-md">
+                    <FormSelect
+                        label="Financial Year Start Month"
+                        name="fyStartMonth"
+                        value={fyStartMonth}
+                        onChange={(e) => onSaveSettings({ fyStartMonth: parseInt(e.target.value, 10) })}
+                        options={MONTH_OPTIONS}
+                        disabled={readOnly}
+                    />
+                    <p className="text-sm text-gray-500">
+                        The dashboard and budget grid show the twelve months starting from this month.
+                        Use the year picker in the header to move between financial years.
+                    </p>
+                </div>
+            </Card>
+            <Card>
+                <CardHeader title="Approval Workflow" />
+                <div className="p-4 md:p-6 space-y-4 max-w-md">
+                    <FormSelect
+                        label="After Approval"
+                        name="approvalAutoPost"
+                        value={approvalAutoPost ? 'post' : 'separate'}
+                        onChange={(e) => onSaveSettings({ approvalAutoPost: e.target.value === 'post' })}
+                        options={[
+                            { value: 'separate', label: 'Finance posts approved entries separately' },
+                            { value: 'post', label: 'Approving an entry also posts it' }
+                        ]}
+                        disabled={readOnly}
+                    />
+                    <p className="text-sm text-gray-500">
+                        Entries go from draft to submitted, then an approver (finance or admin) approves or rejects
+                        them with a comment. Nobody can approve an entry they submitted. Only posted entries count as
+                        actual income, and they stay locked unless finance reopens them.
+                    </p>
+                </div>
+            </Card>
+            <Card>
+                <CardHeader title="Income Types">
+                    {!readOnly && <Button onClick={onAddIncomeType} icon={Plus} label="Add Type" />}
+                </CardHeader>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <Th>Name</Th>
+                                <Th>Earned Through</Th>
+                                <Th>Status</Th>
+                                {!readOnly && <Th>Actions</Th>}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {incomeTypes.map(type => (
+                                <tr key={type.id}>
+                                    <Td>
+                                        <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: type.colour }} />
+                                        {type.name}
+                                    </Td>
+                                    <Td>{type.partnerType === 'supplier' ? 'Suppliers' : 'Customers'}</Td>
+                                    <Td>{type.active === false ? 'Inactive' : 'Active'}</Td>
+                                    {!readOnly && (
+                                        <Td>
+                                            <IconButton onClick={() => onEditIncomeType(type)} icon={Edit2} className="text-blue-600 hover:text-blue-800" title="Edit" />
+                                        </Td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="p-4 md:p-6 text-sm text-gray-500">
+                    Types drive the income form, the budget grid columns and the dashboard charts.
+                    Make a type inactive to retire it; its existing entries and budgets are kept.
+                </p>
+            </Card>
+            <Card>
+                <CardHeader title="Invoice Numbering" />
+                <div className="p-4 md:p-6 space-y-4 max-w-md">
+                    <FormInput
+                        label="Invoice Number Format"
+                        name="invoiceFormat"
+                        value={invoiceFormat}
+                        onChange={(e) => setInvoiceFormat(e.target.value)}
+                        placeholder={DEFAULT_INVOICE_FORMAT}
+                        disabled={readOnly}
+                    />
+                    <p className="text-sm text-gray-500">
+                        Use {'{FY}'} for the financial year, {'{YYYY}'} and {'{MM}'} for the current year and month,
+                        and {'{SEQ:4}'} for the sequence number padded to 4 digits.
+                    </p>
+                    {formatError
+                        ? <p className="text-sm text-red-600">{formatError}</p>
+                        : <p className="text-sm text-gray-700">Example: <span className="font-mono">{preview}</span></p>}
+                    <FormSelect
+                        label="Sequence Reset"
+                        name="invoiceResetPerFy"
+                        value={resetPerFy ? 'fy' : 'never'}
+                        onChange={(e) => onSaveSettings({ invoiceResetPerFy: e.target.value === 'fy' })}
+                        options={[
+                            { value: 'fy', label: 'Restart at 1 each financial year' },
+                            { value: 'never', label: 'Never reset' }
+                        ]}
+                        disabled={readOnly}
+                    />
+                    {!readOnly && (
+                        <div className="flex justify-end">
+                            <Button
+                                label="Save Format"
+                                onClick={() => onSaveSettings({ invoiceFormat })}
+                                disabled={!!formatError || invoiceFormat === (settings.invoiceFormat || DEFAULT_INVOICE_FORMAT)}
+                            />
+                        </div>
+                    )}
+                </div>
+            </Card>
+            <Card>
+                <CardHeader title="Currency" />
+                <div className="p-4 md:p-6 space-y-4 max-w-md">
+                    <FormSelect
+                        label="Base Reporting Currency"
+                        name="baseCurrency"
+                        value={baseCurrency}
+                        onChange={(e) => onSaveSettings({ baseCurrency: e.target.value })}
+                        options={CURRENCIES}
+                        disabled={readOnly}
+                    />
+                    <p className="text-sm text-gray-500">
+                        The dashboard and receivables convert income into this currency. Budgets are entered in it.
+                    </p>
+                </div>
+            </Card>
+            <ExchangeRatesCard
+                exchangeRates={exchangeRates}
+                baseCurrency={baseCurrency}
+                canEdit={canEditRates}
+                onSave={onSaveExchangeRate}
+                onDelete={onDeleteExchangeRate}
+                onImport={onImportExchangeRates}
+            />
+        </div>
+    );
+};
+
+// Manually maintained exchange rates, newest first. New rates are quoted against the base currency.
+const ExchangeRatesCard = ({ exchangeRates, baseCurrency, canEdit, onSave, onDelete, onImport }) => {
+    const foreignCurrencies = CURRENCIES.filter(c => c.value !== baseCurrency);
+    const [newRate, setNewRate] = useState({ date: todayKey(), currency: foreignCurrencies[0]?.value || '', rate: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+    const sortedRates = useMemo(
+        () => [...exchangeRates].sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency)),
+        [exchangeRates]
+    );
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setNewRate(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave({ ...newRate, baseCurrency, rate: parseFloat(newRate.rate) });
+            setNewRate(prev => ({ ...prev, rate: '' }));
+        } catch (error) {
+            setFormError(`The rate could not be saved. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <Card>
+            <CardHeader title="Exchange Rates">
+                {canEdit && <Button onClick={onImport} icon={Upload} label="Import" variant="secondary" />}
+            </CardHeader>
+            {canEdit && (
+                <form onSubmit={handleAdd} className="p-4 md:p-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end border-b border-gray-200">
+                    <FormInput label="Date" name="date" type="date" value={newRate.date} onChange={handleChange} required />
+                    <FormSelect label="Currency" name="currency" value={newRate.currency} onChange={handleChange} options={foreignCurrencies} />
+                    <FormInput
+                        label={`Rate (1 ${newRate.currency} = ? ${baseCurrency})`}
+                        name="rate"
+                        type="number"
+                        value={newRate.rate}
+                        onChange={handleChange}
+                        placeholder="0.85"
+                        required
+                    />
+                    <Button label="Add Rate" type="submit" icon={Plus} saving={isSaving} />
+                    {formError && <p className="md:col-span-4 text-sm text-red-600">{formError}</p>}
+                </form>
+            )}
+            <div className="overflow-x-auto max-h-96">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <Th>Date</Th>
+                            <Th>Rate</Th>
+                            {canEdit && <Th>Actions</Th>}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {sortedRates.length === 0 && (
+                            <tr>
+                                <Td colSpan="3" className="text-center text-gray-500 py-8">
+                                    No exchange rates yet. Income in other currencies can't be reported until a rate is added.
+                                </Td>
+                            </tr>
+                        )}
+                        {sortedRates.map(rate => (
+                            <tr key={rate.id}>
+                                <Td>{rate.date}</Td>
+                                <Td>1 {rate.currency} = {rate.rate} {rate.baseCurrency}</Td>
+                                {canEdit && (
+                                    <Td>
+                                        <IconButton onClick={() => onDelete(rate.id)} icon={Trash2} className="text-red-600 hover:text-red-800" title="Delete" />
+                                    </Td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </Card>
+    );
+};
+
+
+// --- User Management View ---
+const UserManagementView = ({ users, currentUserId, onSaveRole }) => {
+    const sortedUsers = useMemo(
+        () => [...users].sort((a, b) => (a.email || '').localeCompare(b.email || '')),
+        [users]
+    );
+
+    return (
+        <Card>
+            <CardHeader title="User Management" />
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <Th>Email</Th>
+                            <Th>Name</Th>
+                            <Th>Role</Th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {sortedUsers.map(user => (
+                            <tr key={user.id}>
+                                <Td>{user.email}</Td>
+                                <Td>{user.displayName}</Td>
+                                <Td>
+                                    {/* Admins can't change their own role, so they can't lock themselves out */}
+                                    <select
+                                        value={user.role || 'viewer'}
+                                        onChange={(e) => onSaveRole(user.id, e.target.value)}
+                                        disabled={user.id === currentUserId}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                                    >
+                                        {ROLES.map(r => (
+                                            <option key={r.value} value={r.value}>{r.label}</option>
+                                        ))}
+                                    </select>
+                                </Td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="p-4 md:p-6 text-sm text-gray-500">
+                Accounts are created in the Firebase console. New users sign in as viewers until an admin assigns a role.
+            </p>
+        </Card>
+    );
+};
+
+
+// --- Login View ---
+const LoginView = ({ auth }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [info, setInfo] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setInfo('');
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+        } catch (authError) {
+            console.error("Error signing in: ", authError);
+            setError('Sign-in failed. Check your email and password.');
+        }
+    };
+
+    const handleResetPassword = async () => {
+        setError('');
+        setInfo('');
+        if (!email) {
+            setError('Enter your email address first.');
+            return;
+        }
+        try {
+            await sendPasswordResetEmail(auth, email);
+            setInfo('Password reset email sent.');
+        } catch (authError) {
+            console.error("Error sending password reset: ", authError);
+            setError('Could not send a password reset email.');
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-100 font-inter">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-sm p-8">
+                <div className="flex items-center mb-6 text-blue-600">
+                    <Lock size={24} className="mr-2" />
+                    <h1 className="text-2xl font-bold">AVE Tracker</h1>
+                </div>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <FormInput
+                        label="Email"
+                        name="email"
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        required
+                    />
+                    <FormInput
+                        label="Password"
+                        name="password"
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                    />
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    {info && <p className="text-sm text-green-600">{info}</p>}
+                    <div className="flex justify-between items-center pt-2">
+                        <button type="button" onClick={handleResetPassword} className="text-sm text-blue-600 hover:underline">
+                            Forgot password?
+                        </button>
+                        <Button label="Sign In" type="submit" variant="primary" />
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Reusable UI Components ---
+const Card = ({ children }) => (
+    <div className="bg-white shadow-md rounded-lg overflow-hidden">
+        {children}
+    </div>
+);
+
+// Extra buttons can be passed as children; they render before the main action
+const CardHeader = ({ title, onAction, actionIcon: Icon, actionLabel, children }) => (
+    <div className="p-4 md:p-6 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+        <div className="flex items-center space-x-3">
+            {children}
+            {onAction && (
+                <Button onClick={onAction} icon={Icon} label={actionLabel} />
+            )}
+        </div>
+    </div>
+);
+
+// While `saving`, the button is disabled and shows a spinner in place of its icon
+const Button = ({ onClick, label, icon: Icon, variant = 'primary', type = 'button', disabled = false, saving = false }) => {
+    const variants = {
+        primary: 'bg-blue-600 text-white hover:bg-blue-700',
+        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300',
+        danger: 'bg-red-600 text-white hover:bg-red-700',
+    };
+    return (
+        <button
+            type={type}
+            onClick={onClick}
+            disabled={disabled || saving}
+            className={`flex items-center justify-center px-4 py-2 rounded-md font-medium shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${variants[variant]}`}
+        >
+            {saving ? <Loader2 size={18} className="mr-2 animate-spin" /> : Icon && <Icon size={18} className="mr-2" />}
+            {label}
+        </button>
+    );
+};
+
+// CSV and Excel download buttons; onExport receives 'csv' or 'xlsx'
+const ExportButtons = ({ onExport }) => (
+    <div className="flex items-center space-x-2">
+        <Button onClick={() => onExport('csv')} icon={Download} label="CSV" variant="secondary" />
+        <Button onClick={() => onExport('xlsx')} icon={Download} label="Excel" variant="secondary" />
+    </div>
+);
+
+const IconButton = ({ onClick, icon: Icon, className = '', title = '' }) => (
+    <button
+        onClick={onClick}
+        className={`p-1 rounded-full transition-colors ${className}`}
+        title={title}
+    >
+        <Icon size={18} />
+    </button>
+);
+
+// Pass sortKey, sortState ({ sort, dir }) and onSort to make the header clickable
+const Th = ({ children, sortKey, sortState, onSort }) => {
+    const isSorted = sortKey && sortState?.sort === sortKey;
+    const SortIcon = !isSorted ? ArrowUpDown : (sortState.dir === 'desc' ? ArrowDown : ArrowUp);
+    return (
+        <th
+            scope="col"
+            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+            aria-sort={isSorted ? (sortState.dir === 'desc' ? 'descending' : 'ascending') : undefined}
+        >
+            {sortKey ? (
+                <button onClick={() => onSort(sortKey)} className="inline-flex items-center uppercase tracking-wider hover:text-gray-800">
+                    {children}
+                    <SortIcon size={14} className={`ml-1 ${isSorted ? 'text-gray-800' : 'text-gray-300'}`} />
+                </button>
+            ) : children}
+        </th>
+    );
+};
+
+const Td = ({ children, className = '', ...props }) => (
+    <td className={`px-6 py-4 whitespace-nowrap text-sm text-gray-700 ${className}`} {...props}>
+        {children}
+    </td>
+);
+
+// --- Modal and Forms ---
+const Modal = ({ children, onClose, modalType, isEditing, title: customTitle, size = 'md' }) => {
+    
+    const title = useMemo(() => {
+        if (modalType === 'income') {
+            return isEditing ? 'Edit Income Entry' : 'Add New Income Entry';
+        }
+        if (modalType === 'partner') {
+            return isEditing ? 'Edit Partner' : 'Add New Partner';
+        }
+        if (modalType === 'budgetVersion') {
+            return 'New Budget Version';
+        }
+        if (modalType === 'incomeType') {
+            return isEditing ? 'Edit Income Type' : 'Add Income Type';
+        }
+        if (modalType === 'history') {
+            return 'History';
+        }
+        if (modalType === 'confirm') {
+            return customTitle || 'Are you sure?';
+        }
+        if (modalType === 'reassignPartner') {
+            return 'Partner Has Linked Income';
+        }
+        if (modalType === 'invoice') {
+            return 'Generate Invoice';
+        }
+        if (modalType === 'import') {
+            return 'Import Data';
+        }
+        if (modalType === 'payment') {
+            return 'Payments';
+        }
+        if (modalType === 'reject') {
+            return 'Reject Income Entry';
+        }
+        if (modalType === 'opportunity') {
+            return isEditing ? 'Edit Opportunity' : 'Add Opportunity';
+        }
+        return 'Modal';
+    }, [modalType, isEditing, customTitle]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50" onClick={onClose}>
+            <div 
+                className={`bg-white rounded-lg shadow-xl w-full ${size === 'lg' ? 'max-w-5xl' : 'max-w-lg'} max-h-[90vh] overflow-y-auto`}
+                onClick={(e) => e.stopPropagation()} // Prevent closing modal when clicking inside
+            >
+                <div className="p-4 border-b flex justify-between items-center">
+                     <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+                    <IconButton onClick={onClose} icon={X} className="text-gray-500 hover:text-gray-800" />
+                </div>
+                <div className="p-6">
+                    {children}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Income Form ---
+const IncomeForm = ({ initialData, incomeTypes, customers, suppliers, baseCurrency, onSave, onClose }) => {
+    // Inactive types can't be picked for new entries, but an entry being edited keeps its type
+    const typeOptions = incomeTypes
+        .filter(t => t.active !== false || t.name === initialData?.incomeType)
+        .map(t => ({ value: t.name, label: t.name }));
+    // New entries can come partly filled in (from a won opportunity)
+    const [formData, setFormData] = useState(
+        initialData?.id ? initialData : {
+            incomeType: typeOptions[0]?.value || '',
+            partnerId: '',
+            value: '',
+            currency: baseCurrency,
+            agreementStartDate: '',
+            agreementEndDate: '',
+            invoiceStatus: 'pending',
+            recognitionMethod: 'pointInTime',
+            recognitionSchedule: [],
+            ...initialData
+        }
+    );
+    const [formError, setFormError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    // Authors save drafts or submit them; approvers editing an entry in review just save it
+    const status = initialData?.id ? getIncomeStatus(initialData) : 'draft';
+    const canSubmit = status === 'draft' || status === 'rejected';
+    const submitForApproval = useRef(false);
+    
+    // Determine which partner list to show
+    const isSupplierType = incomeTypes.find(t => t.name === formData.incomeType)?.partnerType === 'supplier';
+    const relevantPartners = isSupplierType ? suppliers : customers;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+    
+    // When income type changes, reset partnerId
+    useEffect(() => {
+        // Only reset if it's a new item, not if editing
+        if (!initialData) {
+            setFormData(prev => ({ ...prev, partnerId: '' }));
+        }
+    }, [formData.incomeType, initialData]);
+
+    // Setting the issue date fills in the due date from the partner's payment terms
+    const handleIssueDateChange = (e) => {
+        const invoiceIssueDate = e.target.value;
+        const partner = relevantPartners.find(p => p.id === formData.partnerId);
+        const termsDays = parseInt(partner?.paymentTermsDays, 10) || DEFAULT_PAYMENT_TERMS_DAYS;
+        setFormData(prev => ({
+            ...prev,
+            invoiceIssueDate,
+            invoiceDueDate: invoiceIssueDate ? addDaysToDateKey(invoiceIssueDate, termsDays) : '',
+        }));
+    };
+
+    const recognitionMethod = formData.recognitionMethod || 'pointInTime';
+    const schedule = formData.recognitionSchedule || [];
+    const scheduleTotal = schedule.reduce((sum, milestone) => sum + (parseFloat(milestone.amount) || 0), 0);
+
+    const updateMilestone = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            recognitionSchedule: (prev.recognitionSchedule || []).map((m, i) => (i === index ? { ...m, [field]: value } : m))
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (formData.invoiceDueDate && formData.invoiceIssueDate && formData.invoiceDueDate < formData.invoiceIssueDate) {
+            setFormError('The invoice due date must be on or after the issue date.');
+            return;
+        }
+        if (formData.agreementEndDate && formData.agreementEndDate < formData.agreementStartDate) {
+            setFormError('The agreement end date must be on or after the start date.');
+            return;
+        }
+        if (recognitionMethod === 'straightLine' && !formData.agreementEndDate) {
+            setFormError('Straight-line recognition needs an agreement end date.');
+            return;
+        }
+        if (recognitionMethod === 'milestones') {
+            if (schedule.length === 0 || schedule.some(m => !m.date)) {
+                setFormError('Every milestone needs a date.');
+                return;
+            }
+            if (Math.abs(scheduleTotal - (parseFloat(formData.value) || 0)) > 0.005) {
+                const currency = getIncomeCurrency(formData);
+                setFormError(`Milestones add up to ${formatCurrency(scheduleTotal, currency)}, but the value is ${formatCurrency(parseFloat(formData.value) || 0, currency)}.`);
+                return;
+            }
+        }
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave({
+                ...formData,
+                recognitionMethod,
+                recognitionSchedule: recognitionMethod === 'milestones' ? schedule : [],
+            }, { submit: canSubmit && submitForApproval.current });
+        } catch (error) {
+            setFormError(`The entry could not be saved. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            
+            {status === 'rejected' && initialData.rejectionComment && (
+                <div className="p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+                    <span className="font-medium">Rejected:</span> {initialData.rejectionComment}
+                </div>
+            )}
+            <FormSelect
+                label="Income Type"
+                name="incomeType"
+                value={formData.incomeType}
+                onChange={handleChange}
+                options={typeOptions}
+            />
+            
+            <FormSelect
+                label={isSupplierType ? 'Supplier' : 'Customer'}
+                name="partnerId"
+                value={formData.partnerId}
+                onChange={handleChange}
+                options={relevantPartners.map(p => ({ value: p.id, label: p.name }))}
+                placeholder="Select a partner"
+                required
+            />
+            
+            <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                    <FormInput
+                        label="Value"
+                        name="value"
+                        type="number"
+                        value={formData.value}
+                        onChange={handleChange}
+                        placeholder="5000"
+                        required
+                    />
+                </div>
+                <FormSelect
+                    label="Currency"
+                    name="currency"
+                    value={getIncomeCurrency(formData)}
+                    onChange={handleChange}
+                    options={CURRENCIES.map(c => ({ value: c.value, label: c.value }))}
+                />
+            </div>
+            
+            {/* The invoice status follows from these dates and the payments recorded */}
+            <div className="grid grid-cols-2 gap-4">
+                <FormInput
+                    label="Invoice Issue Date"
+                    name="invoiceIssueDate"
+                    type="date"
+                    value={formData.invoiceIssueDate || ''}
+                    onChange={handleIssueDateChange}
+                />
+                <FormInput
+                    label="Invoice Due Date"
+                    name="invoiceDueDate"
+                    type="date"
+                    value={formData.invoiceDueDate || ''}
+                    onChange={handleChange}
+                />
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <FormInput
+                    label="Agreement Start Date"
+                    name="agreementStartDate"
+                    type="date"
+                    value={formData.agreementStartDate}
+                    onChange={handleChange}
+                    required
+                />
+                <FormInput
+                    label="Agreement End Date"
+                    name="agreementEndDate"
+                    type="date"
+                    value={formData.agreementEndDate}
+                    onChange={handleChange}
+                />
+            </div>
+
+            <FormSelect
+                label="Revenue Recognition"
+                name="recognitionMethod"
+                value={recognitionMethod}
+                onChange={handleChange}
+                options={RECOGNITION_METHODS}
+            />
+
+            {recognitionMethod === 'milestones' && (
+                <div className="space-y-2">
+                    {schedule.map((milestone, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                            <input
+                                type="date"
+                                className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                value={milestone.date}
+                                onChange={(e) => updateMilestone(index, 'date', e.target.value)}
+                                title="Milestone date"
+                            />
+                            <input
+                                type="number"
+                                className="w-32 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                value={milestone.amount}
+                                onChange={(e) => updateMilestone(index, 'amount', e.target.value)}
+                                placeholder="Amount"
+                            />
+                            <IconButton
+                                onClick={() => setFormData(prev => ({ ...prev, recognitionSchedule: schedule.filter((_, i) => i !== index) }))}
+                                icon={X}
+                                className="text-gray-400 hover:text-red-600"
+                                title="Remove milestone"
+                            />
+                        </div>
+                    ))}
+                    <div className="flex justify-between items-center text-sm">
+                        <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, recognitionSchedule: [...schedule, { date: '', amount: '' }] }))}
+                            className="text-blue-600 hover:underline"
+                        >
+                            + Add milestone
+                        </button>
+                        <span className="text-gray-500">Scheduled: {formatCurrency(scheduleTotal, getIncomeCurrency(formData))}</span>
+                    </div>
+                </div>
+            )}
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+            
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                {canSubmit ? (
+                    <>
+                        <Button label="Save Draft" type="submit" variant="secondary" onClick={() => { submitForApproval.current = false; }} disabled={isSaving} />
+                        <Button label="Save & Submit" type="submit" variant="primary" onClick={() => { submitForApproval.current = true; }} saving={isSaving} />
+                    </>
+                ) : (
+                    <Button label="Save Income" type="submit" variant="primary" saving={isSaving} />
+                )}
+            </div>
+        </form>
+    );
+};
+
+
+// --- Invoice Form ---
+// Lets the user adjust line items, VAT and payment terms before downloading the PDF
+const InvoiceForm = ({ income, partner, canMarkSent, onMarkSent, onClose }) => {
+    const value = parseFloat(income.value) || 0;
+    const period = income.agreementStartDate
+        ? ` (${income.agreementStartDate}${income.agreementEndDate ? ` to ${income.agreementEndDate}` : ''})`
+        : '';
+    const [lineItems, setLineItems] = useState([
+        { description: `${income.incomeType}${period}`, quantity: 1, unitPrice: value }
+    ]);
+    const [vatRate, setVatRate] = useState(DEFAULT_VAT_RATE);
+    const [paymentTermsDays, setPaymentTermsDays] = useState(parseInt(partner?.paymentTermsDays, 10) || DEFAULT_PAYMENT_TERMS_DAYS);
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    const subtotal = lineItems.reduce((sum, item) => sum + (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0), 0);
+    const vat = subtotal * (parseFloat(vatRate) || 0) / 100;
+    const money = (amount) => formatCurrency(amount, getIncomeCurrency(income));
+
+    const updateLineItem = (index, field, fieldValue) => {
+        setLineItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: fieldValue } : item)));
+    };
+
+    const handleDownload = async (markSent) => {
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await generateInvoicePdf({
+                income,
+                partner,
+                lineItems: lineItems.map(item => ({
+                    description: item.description,
+                    quantity: parseFloat(item.quantity) || 0,
+                    unitPrice: parseFloat(item.unitPrice) || 0,
+                })),
+                vatRate: parseFloat(vatRate) || 0,
+                paymentTermsDays: parseInt(paymentTermsDays, 10) || 0,
+                issueDate: new Date(),
+            });
+            if (markSent) {
+                const invoiceIssueDate = todayKey();
+                await onMarkSent({
+                    invoiceIssueDate,
+                    invoiceDueDate: addDaysToDateKey(invoiceIssueDate, parseInt(paymentTermsDays, 10) || 0),
+                    invoiceTotal: Math.round((subtotal + vat) * 100) / 100, // The gross total on the PDF
+                });
+            }
+            onClose();
+        } catch (e) {
+            console.error("Error generating invoice: ", e);
+            setFormError(`The invoice could not be ${markSent ? 'generated and marked as sent' : 'generated'}. ${getErrorMessage(e)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="text-sm text-gray-700">
+                <div><span className="font-medium">Invoice #:</span> {income.invoiceNumber}</div>
+                <div><span className="font-medium">Bill to:</span> {partner?.name || 'Unknown'}</div>
+                {getBillingContact(partner) && (
+                    <div className="text-gray-500">{getBillingContact(partner).name} - {getBillingContact(partner).email}</div>
+                )}
+            </div>
+
+            <div className="space-y-2">
+                <div className="text-sm font-medium text-gray-700">Line Items</div>
+                {lineItems.map((item, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                        <input
+                            className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            value={item.description}
+                            onChange={(e) => updateLineItem(index, 'description', e.target.value)}
+                            placeholder="Description"
+                        />
+                        <input
+                            type="number"
+                            className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            value={item.quantity}
+                            onChange={(e) => updateLineItem(index, 'quantity', e.target.value)}
+                            title="Quantity"
+                        />
+                        <input
+                            type="number"
+                            className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            value={item.unitPrice}
+                            onChange={(e) => updateLineItem(index, 'unitPrice', e.target.value)}
+                            title="Unit price"
+                        />
+                        <IconButton
+                            onClick={() => setLineItems(prev => prev.filter((_, i) => i !== index))}
+                            icon={X}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Remove line"
+                        />
+                    </div>
+                ))}
+                <button
+                    type="button"
+                    onClick={() => setLineItems(prev => [...prev, { description: '', quantity: 1, unitPrice: 0 }])}
+                    className="text-sm text-blue-600 hover:underline"
+                >
+                    + Add line
+                </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <FormInput label="VAT Rate (%)" name="vatRate" type="number" value={vatRate} onChange={(e) => setVatRate(e.target.value)} />
+                <FormInput label="Payment Terms (days)" name="paymentTermsDays" type="number" value={paymentTermsDays} onChange={(e) => setPaymentTermsDays(e.target.value)} />
+            </div>
+
+            <div className="text-sm text-right space-y-1">
+                <div>Subtotal: {money(subtotal)}</div>
+                <div>VAT: {money(vat)}</div>
+                <div className="font-semibold">Total: {money(subtotal + vat)}</div>
+                {Math.abs(subtotal - value) > 0.005 && (
+                    <div className="text-yellow-700">Subtotal differs from the entry value ({money(value)}).</div>
+                )}
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                <Button label="Download PDF" onClick={() => handleDownload(false)} variant="secondary" icon={FileDown} disabled={isSaving} />
+                {canMarkSent && getInvoiceStatus(income) === 'pending' && (
+                    <Button label="Download & Mark Sent" onClick={() => handleDownload(true)} variant="primary" saving={isSaving} />
+                )}
+            </div>
+        </div>
+    );
+};
+
+
+// --- Payment Form ---
+// Lists the payments recorded against an invoice and records new (possibly partial) payments
+const PaymentForm = ({ income, userId, onSave, onClose }) => {
+    const payments = income.payments || [];
+    const outstanding = getOutstandingAmount(income);
+    const money = (amount) => formatCurrency(amount, getIncomeCurrency(income));
+    const [payment, setPayment] = useState({ date: todayKey(), amount: outstanding ? String(outstanding) : '', reference: '' });
+    const [formError, setFormError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value: fieldValue } = e.target;
+        setPayment(prev => ({ ...prev, [name]: fieldValue }));
+    };
+
+    // Returns whether the save went through
+    const savePayments = async (nextPayments) => {
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave(nextPayments);
+            return true;
+        } catch (error) {
+            setFormError(`The payments could not be saved. ${getErrorMessage(error)}`);
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const amount = parseFloat(payment.amount);
+        if (!(amount > 0)) {
+            setFormError('Enter an amount greater than zero.');
+            return;
+        }
+        const saved = await savePayments([
+            ...payments,
+            { id: crypto.randomUUID(), ...payment, amount, recordedBy: userId, recordedAt: new Date().toISOString() },
+        ]);
+        if (saved) setPayment({ date: todayKey(), amount: '', reference: '' });
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-4 text-sm">
+                <div><div className="text-gray-500">Invoice Total</div><div className="font-semibold">{money(getInvoiceTotal(income))}</div></div>
+                <div><div className="text-gray-500">Paid</div><div className="font-semibold">{money(getPaidAmount(income))}</div></div>
+                <div><div className="text-gray-500">Outstanding</div><div className="font-semibold">{money(outstanding)}</div></div>
+            </div>
+            <div className="text-sm text-gray-600 flex items-center space-x-2">
+                <span>{income.invoiceNumber} · Due {income.invoiceDueDate || 'date not set'}</span>
+                <InvoiceStatusBadge status={getInvoiceStatus(income)} />
+            </div>
+
+            {payments.length > 0 && (
+                <ul className="divide-y divide-gray-200 border rounded-md text-sm">
+                    {payments.map(p => (
+                        <li key={p.id} className="px-3 py-2 flex justify-between items-center">
+                            <span>{p.date} · {money(parseFloat(p.amount) || 0)}{p.reference && ` · ${p.reference}`}</span>
+                            <IconButton
+                                onClick={() => savePayments(payments.filter(other => other.id !== p.id))}
+                                icon={Trash2}
+                                className="text-gray-400 hover:text-red-600"
+                                title="Remove payment"
+                            />
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                    <FormInput label="Payment Date" name="date" type="date" value={payment.date} onChange={handleChange} required />
+                    <FormInput label="Amount" name="amount" type="number" value={payment.amount} onChange={handleChange} required />
+                </div>
+                <FormInput label="Reference" name="reference" value={payment.reference} onChange={handleChange} placeholder="BACS ref, cheque #..." />
+                {formError && <p className="text-sm text-red-600">{formError}</p>}
+                <div className="flex justify-end space-x-3 pt-4">
+                    <Button label="Close" onClick={onClose} variant="secondary" />
+                    <Button label="Record Payment" type="submit" variant="primary" saving={isSaving} />
+                </div>
+            </form>
+        </div>
+    );
+};
+
+
+// --- Import Wizard ---
+// Upload a CSV/XLSX file, map its columns, preview row-level validation, then import the valid rows
+const UNMAPPED = '-1'; // Column mapping value for optional fields that aren't imported
+
+const ImportWizard = ({
+    target: initialTarget, incomeData, partners, incomeTypes, baseCurrency, canCreatePartners,
+    onImportIncome, onImportBudgets, onImportExchangeRates, onClose
+}) => {
+    const [target, setTarget] = useState(initialTarget); // 'income', 'budgets' or 'exchangeRates'
+    const [step, setStep] = useState('upload'); // upload, map, preview
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({}); // field key -> column index
+    const [createMissingPartners, setCreateMissingPartners] = useState(false);
+    const [error, setError] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+
+    const fields = IMPORT_FIELDS[target];
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setError('');
+        try {
+            const [headerRow = [], ...dataRows] = await readSpreadsheet(file);
+            const normalized = headerRow.map(normalizeHeader);
+            // Pre-fill the mapping from matching header names
+            const initialMapping = {};
+            fields.forEach(field => {
+                const index = normalized.findIndex(header => field.aliases.includes(header));
+                initialMapping[field.key] = index >= 0 ? String(index) : (field.required ? '' : UNMAPPED);
+            });
+            setFileName(file.name);
+            setHeaders(headerRow.map(String));
+            setRows(dataRows.filter(row => row.some(cell => String(cell).trim() !== '')));
+            setMapping(initialMapping);
+            setStep('map');
+        } catch (readError) {
+            console.error("Error reading import file: ", readError);
+            setError('Could not read that file. Upload a .csv or .xlsx file.');
+        }
+    };
+
+    // Validate every row against the mapping; returns display values, errors and the record to write
+    const validation = useMemo(() => {
+        if (step !== 'preview') return null;
+        const cell = (row, key) => (
+            [undefined, '', UNMAPPED].includes(mapping[key]) ? '' : row[parseInt(mapping[key], 10)] ?? ''
+        );
+        const display = (value) => (value instanceof Date ? parseImportDate(value) : String(value));
+        const newPartners = {};
+        const seen = new Set();
+        const existingInvoiceNumbers = new Set(incomeData.map(i => i.invoiceNumber));
+        const findCurrency = (raw) => CURRENCIES.find(c => c.value === String(raw).trim().toUpperCase());
+
+        const results = rows.map((row, index) => {
+            const errors = [];
+            const notes = [];
+            const values = fields.map(field => display(cell(row, field.key)));
+            let record = null;
+
+            const value = parseImportNumber(cell(row, 'value'));
+            if (fields.some(field => field.key === 'value') && (isNaN(value) || value < 0)) {
+                errors.push('Value must be a positive number');
+            }
+
+            if (target === 'income') {
+                const typeText = String(cell(row, 'incomeType')).trim().toLowerCase();
+                const incomeType = incomeTypes.find(t => t.name.toLowerCase() === typeText);
+                if (!incomeType) errors.push(`Unknown income type "${cell(row, 'incomeType')}"`);
+                else if (incomeType.active === false) errors.push(`${incomeType.name} is inactive`);
+
+                const partnerName = String(cell(row, 'partner')).trim();
+                let partnerId = null;
+                let newPartnerKey = null;
+                if (!partnerName) {
+                    errors.push('Partner name is required');
+                } else if (incomeType) {
+                    const match = partners.find(p => (
+                        p.type === incomeType.partnerType && (p.name || '').trim().toLowerCase() === partnerName.toLowerCase()
+                    ));
+                    if (match && match.active === false) {
+                        errors.push(`${match.name} is inactive`);
+                    } else if (match) {
+                        partnerId = match.id;
+                    } else if (createMissingPartners) {
+                        newPartnerKey = `${incomeType.partnerType}:${partnerName.toLowerCase()}`;
+                        newPartners[newPartnerKey] = { key: newPartnerKey, type: incomeType.partnerType, name: partnerName };
+                        notes.push(`New ${incomeType.partnerType}`);
+                    } else {
+                        errors.push(`No ${incomeType.partnerType} named "${partnerName}"`);
+                    }
+                }
+
+                const currencyText = String(cell(row, 'currency')).trim();
+                const currency = currencyText === '' ? baseCurrency : findCurrency(currencyText)?.value;
+                if (!currency) errors.push(`Unknown currency "${currencyText}"`);
+
+                const startRaw = cell(row, 'agreementStartDate');
+                const agreementStartDate = parseImportDate(startRaw);
+                if (!agreementStartDate) errors.push('Start date is missing or invalid');
+                const endRaw = cell(row, 'agreementEndDate');
+                const agreementEndDate = String(endRaw).trim() === '' ? '' : parseImportDate(endRaw);
+                if (agreementEndDate === null) errors.push('End date is invalid');
+                else if (agreementEndDate && agreementStartDate && agreementEndDate < agreementStartDate) errors.push('End date is before start date');
+
+                const statusText = String(cell(row, 'invoiceStatus')).trim().toLowerCase();
+                const invoiceStatus = statusText === '' ? INVOICE_STATUSES[0] : INVOICE_STATUSES.find(s => s.value === statusText);
+                if (!invoiceStatus) errors.push(`Unknown invoice status "${cell(row, 'invoiceStatus')}"`);
+
+                const invoiceNumber = String(cell(row, 'invoiceNumber')).trim();
+                if (invoiceNumber && (existingInvoiceNumbers.has(invoiceNumber) || seen.has(invoiceNumber))) {
+                    errors.push(`Invoice # ${invoiceNumber} already exists`);
+                }
+                if (invoiceNumber) seen.add(invoiceNumber);
+
+                if (errors.length === 0) {
+                    record = {
+                        incomeType: incomeType.name,
+                        partnerId,
+                        newPartnerKey,
+                        value: String(value),
+                        currency,
+                        agreementStartDate,
+                        agreementEndDate,
+                        invoiceStatus: invoiceStatus.value,
+                        ...(invoiceNumber && { invoiceNumber }),
+                    };
+                }
+            } else if (target === 'budgets') {
+                const month = parseImportMonth(cell(row, 'month'));
+                if (!month) errors.push('Month is missing or invalid');
+                const typeText = String(cell(row, 'type')).trim().toLowerCase();
+                const budgetType = incomeTypes.find(t => t.name.toLowerCase() === typeText);
+                if (!budgetType) errors.push(`Unknown budget type "${cell(row, 'type')}"`);
+                if (month && budgetType) {
+                    const key = `${month}-${budgetType.name}`;
+                    if (seen.has(key)) errors.push(`Duplicate row for ${month} ${budgetType.name}`);
+                    seen.add(key);
+                }
+                if (errors.length === 0) {
+                    record = { month, type: budgetType.name, value };
+                }
+            } else {
+                const date = parseImportDate(cell(row, 'date'));
+                if (!date) errors.push('Date is missing or invalid');
+                const currency = findCurrency(cell(row, 'currency'))?.value;
+                if (!currency) errors.push(`Unknown currency "${cell(row, 'currency')}"`);
+                const baseText = String(cell(row, 'baseCurrency')).trim();
+                const rateBase = baseText === '' ? baseCurrency : findCurrency(baseText)?.value;
+                if (!rateBase) errors.push(`Unknown currency "${baseText}"`);
+                else if (currency === rateBase) errors.push('Currency and base currency are the same');
+                const rate = parseImportNumber(cell(row, 'rate'));
+                if (isNaN(rate) || rate <= 0) errors.push('Rate must be greater than zero');
+                if (date && currency && rateBase) {
+                    const key = `${currency}-${rateBase}-${date}`;
+                    if (seen.has(key)) errors.push(`Duplicate rate for ${currency}/${rateBase} on ${date}`);
+                    seen.add(key);
+                }
+                if (errors.length === 0) {
+                    record = { date, currency, baseCurrency: rateBase, rate };
+                }
+            }
+
+            return { rowNumber: index + 2, values, errors, notes, record }; // +2: header row and 1-based rows
+        });
+
+        return { results, newPartners: Object.values(newPartners) };
+    }, [step, rows, mapping, fields, target, partners, incomeTypes, incomeData, baseCurrency, createMissingPartners]);
+
+    const validRecords = validation ? validation.results.filter(r => r.record).map(r => r.record) : [];
+    const errorCount = validation ? validation.results.filter(r => r.errors.length > 0).length : 0;
+    const missingRequired = fields.filter(field => field.required && mapping[field.key] === '');
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        setError('');
+        try {
+            if (target === 'income') {
+                await onImportIncome(validRecords, validation.newPartners);
+            } else if (target === 'budgets') {
+                await onImportBudgets(validRecords);
+            } else {
+                await onImportExchangeRates(validRecords);
+            }
+            onClose();
+        } catch (importError) {
+            console.error("Error importing data: ", importError);
+            // Imports are saved in chunks, so a failure part way through keeps the rows before it
+            setError(importError.savedCount
+                ? `The import stopped after ${importError.savedCount} of ${validRecords.length} rows, which were saved. ${getErrorMessage(importError)}`
+                    + (target === 'income' ? ' Remove the saved rows from the file before importing it again.' : '')
+                : `The import failed and nothing was saved. ${getErrorMessage(importError)}`);
+            setIsImporting(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {step === 'upload' && (
+                <>
+                    <FormSelect
+                        label="Import"
+                        name="importTarget"
+                        value={target}
+                        onChange={(e) => setTarget(e.target.value)}
+                        options={[
+                            { value: 'income', label: 'Income entries' },
+                            { value: 'budgets', label: 'Budgets (month / type / value rows)' },
+                            { value: 'exchangeRates', label: 'Exchange rates (date / currency / rate rows)' }
+                        ]}
+                    />
+                    <div>
+                        <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-1">File (.csv or .xlsx)</label>
+                        <input id="importFile" type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="text-sm" />
+                    </div>
+                    <p className="text-sm text-gray-500">
+                        The first row must contain column headers. Dates can be written as 2025-10-01 or 01/10/2025.
+                    </p>
+                </>
+            )}
+
+            {step === 'map' && (
+                <>
+                    <p className="text-sm text-gray-700">
+                        {fileName}: {rows.length} data rows. Choose which column holds each field.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {fields.map(field => (
+                            <FormSelect
+                                key={field.key}
+                                label={field.label}
+                                name={`map-${field.key}`}
+                                value={mapping[field.key]}
+                                onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                                options={[
+                                    ...(field.required ? [] : [{ value: UNMAPPED, label: '(not imported)' }]),
+                                    ...headers.map((header, index) => ({ value: String(index), label: header || `Column ${index + 1}` }))
+                                ]}
+                                placeholder="Select a column"
+                                required={field.required}
+                            />
+                        ))}
+                    </div>
+                    {target === 'income' && (
+                        <label className="flex items-center text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                className="mr-2"
+                                checked={createMissingPartners}
+                                onChange={(e) => setCreateMissingPartners(e.target.checked)}
+                                disabled={!canCreatePartners}
+                            />
+                            Create partners that don't exist yet
+                            {!canCreatePartners && <span className="ml-1 text-gray-400">(admins only)</span>}
+                        </label>
+                    )}
+                    <div className="flex justify-end space-x-3 pt-4">
+                        <Button label="Back" onClick={() => setStep('upload')} variant="secondary" />
+                        <Button label="Preview" onClick={() => setStep('preview')} disabled={missingRequired.length > 0} />
+                    </div>
+                </>
+            )}
+
+            {step === 'preview' && validation && (
+                <>
+                    <p className="text-sm text-gray-700">
+                        {validRecords.length} of {validation.results.length} rows are ready to import.
+                        {errorCount > 0 && <span className="text-red-600"> {errorCount} rows with errors will be skipped.</span>}
+                        {validation.newPartners.length > 0 && ` ${validation.newPartners.length} new partners will be created.`}
+                    </p>
+                    <div className="overflow-x-auto max-h-96 border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <Th>Row</Th>
+                                    {fields.map(field => <Th key={field.key}>{field.label}</Th>)}
+                                    <Th>Issues</Th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {validation.results.map(result => (
+                                    <tr key={result.rowNumber} className={result.errors.length > 0 ? 'bg-red-50' : ''}>
+                                        <Td>{result.rowNumber}</Td>
+                                        {result.values.map((value, i) => <Td key={fields[i].key}>{value}</Td>)}
+                                        <Td className={result.errors.length > 0 ? 'text-red-600' : 'text-green-700'}>
+                                            {result.errors.length > 0 ? result.errors.join('; ') : (result.notes.join('; ') || 'OK')}
+                                        </Td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <div className="flex justify-end space-x-3 pt-4">
+                        <Button label="Back" onClick={() => setStep('map')} variant="secondary" />
+                        <Button
+                            label={isImporting ? 'Importing...' : `Import ${validRecords.length} Rows`}
+                            onClick={handleImport}
+                            disabled={isImporting || validRecords.length === 0}
+                        />
+                    </div>
+                </>
+            )}
+
+            {step === 'upload' && error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+
+// --- Partner Form ---
+const PartnerForm = ({ initialData, onSave, onClose }) => {
+    const [formData, setFormData] = useState(
+        initialData || {
+            type: 'customer',
+            name: '',
+            billingAddress: '',
+            vatNumber: '',
+            notes: '',
+            paymentTermsDays: DEFAULT_PAYMENT_TERMS_DAYS
+        }
+    );
+    const [contacts, setContacts] = useState(() => {
+        const existing = getPartnerContacts(initialData);
+        return existing.length > 0 ? existing : [{ name: '', role: 'Primary', email: '', phone: '' }];
+    });
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const updateContact = (index, field, value) => {
+        setContacts(prev => prev.map((contact, i) => (i === index ? { ...contact, [field]: value } : contact)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setIsSaving(true);
+        try {
+            // Blank rows are dropped. The first contact is also kept in the single-contact fields older records use.
+            const savedContacts = contacts.filter(c => c.name.trim() || c.email.trim() || c.phone.trim());
+            const primary = savedContacts[0] || {};
+            await onSave({
+                ...formData,
+                contacts: savedContacts,
+                contactName: primary.name || '',
+                contactEmail: primary.email || '',
+                contactPhone: primary.phone || '',
+            });
+        } catch (error) {
+            setFormError(`The partner could not be saved. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            
+            <FormSelect
+                label="Partner Type"
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+                options={PARTNER_TYPES}
+            />
+
+            {/* Inactive partners stay in history but drop out of the income form */}
+            <FormSelect
+                label="Status"
+                name="active"
+                value={formData.active === false ? 'inactive' : 'active'}
+                onChange={(e) => setFormData(prev => ({ ...prev, active: e.target.value === 'active' }))}
+                options={[
+                    { value: 'active', label: 'Active' },
+                    { value: 'inactive', label: 'Inactive' }
+                ]}
+            />
+            
+            <FormInput
+                label="Company Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Acme Corp"
+                required
+            />
+            
+            <div className="space-y-3">
+                <div className="flex justify-between items-center">
+                    <span className="block text-sm font-medium text-gray-700">Contacts</span>
+                    <button
+                        type="button"
+                        onClick={() => setContacts(prev => [...prev, { name: '', role: 'Other', email: '', phone: '' }])}
+                        className="text-sm text-blue-600 hover:underline"
+                    >
+                        + Add contact
+                    </button>
+                </div>
+                {contacts.map((contact, i) => (
+                    <div key={i} className="p-3 border border-gray-200 rounded-md space-y-2">
+                        <div className="grid grid-cols-2 gap-2">
+                            <FormInput label="Name" name={`contact-${i}-name`} value={contact.name} onChange={(e) => updateContact(i, 'name', e.target.value)} placeholder="Jane Doe" />
+                            <FormSelect label="Role" name={`contact-${i}-role`} value={contact.role} onChange={(e) => updateContact(i, 'role', e.target.value)} options={CONTACT_ROLES} />
+                            <FormInput label="Email" name={`contact-${i}-email`} type="email" value={contact.email} onChange={(e) => updateContact(i, 'email', e.target.value)} placeholder="jane.doe@acme.com" />
+                            <FormInput label="Phone" name={`contact-${i}-phone`} type="tel" value={contact.phone} onChange={(e) => updateContact(i, 'phone', e.target.value)} placeholder="+44 20 7946 0958" />
+                        </div>
+                        {contacts.length > 1 && (
+                            <div className="text-right">
+                                <button
+                                    type="button"
+                                    onClick={() => setContacts(prev => prev.filter((_, j) => j !== i))}
+                                    className="text-sm text-red-600 hover:underline"
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <FormTextarea
+                label="Billing Address"
+                name="billingAddress"
+                value={formData.billingAddress || ''}
+                onChange={handleChange}
+                placeholder={'1 High Street\nLondon\nEC1A 1AA'}
+            />
+
+            <FormInput
+                label="VAT Number"
+                name="vatNumber"
+                value={formData.vatNumber || ''}
+                onChange={handleChange}
+                placeholder="GB123456789"
+            />
+
+            <FormInput
+                label="Payment Terms (days)"
+                name="paymentTermsDays"
+                type="number"
+                value={formData.paymentTermsDays ?? DEFAULT_PAYMENT_TERMS_DAYS}
+                onChange={handleChange}
+                placeholder="30"
+            />
+
+            <FormTextarea
+                label="Notes"
+                name="notes"
+                value={formData.notes || ''}
+                onChange={handleChange}
+                placeholder="Account history, preferences, anything the team should know"
+            />
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+            
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                <Button label="Save Partner" type="submit" variant="primary" saving={isSaving} />
+            </div>
+        </form>
     );
 };
 
-const IconButton = ({ onClick, icon: Icon, className = '', title = '' }) => (
-    <button
-        onClick={onClick}
-        className={`p-1 rounded-full transition-colors ${className}`}
-        title={title}
-    >
-        <Icon size={18} />
-    </button>
-);
-
-const Th = ({ children }) => (
-    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-        {children}
-    </th>
-);
 
-const Td = ({ children, className = '', ...props }) => (
-    <td className={`px-6 py-4 whitespace-nowrap text-sm text-gray-700 ${className}`} {...props}>
-        {children}
-    </td>
-);
+// --- Budget Version Form ---
+const BudgetVersionForm = ({ budgetVersions, initialCopyFromId, onSave, onClose }) => {
+    const [name, setName] = useState('');
+    const [copyFromId, setCopyFromId] = useState(initialCopyFromId || 'none');
+    const [formError, setFormError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
 
-// --- Modal and Forms ---
-const Modal = ({ children, onClose, modalType, isEditing }) => {
-    
-    const title = useMemo(() => {
-        if (modalType === 'income') {
-            return isEditing ? 'Edit Income Entry' : 'Add New Income Entry';
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (budgetVersions.some(v => v.name.toLowerCase() === trimmed.toLowerCase())) {
+            setFormError(`There is already a version called "${trimmed}".`);
+            return;
         }
-        if (modalType === 'partner') {
-            return isEditing ? 'Edit Partner' : 'Add New Partner';
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave({ name: trimmed, copyFromId: copyFromId === 'none' ? null : copyFromId });
+        } catch (error) {
+            setFormError(`The version could not be created. ${getErrorMessage(error)}`);
         }
-        return 'Modal';
-    }, [modalType, isEditing]);
+        setIsSaving(false);
+    };
 
     return (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50" onClick={onClose}>
-            <div 
-                className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto"
-                onClick={(e) => e.stopPropagation()} // Prevent closing modal when clicking inside
-            >
-                <div className="p-4 border-b flex justify-between items-center">
-                     <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
-                    <IconButton onClick={onClose} icon={X} className="text-gray-500 hover:text-gray-800" />
-                </div>
-                <div className="p-6">
-                    {children}
-                </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <FormInput
+                label="Version Name"
+                name="versionName"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Q1 Reforecast"
+                required
+            />
+            <FormSelect
+                label="Copy Budgets From"
+                name="copyFromId"
+                value={copyFromId}
+                onChange={(e) => setCopyFromId(e.target.value)}
+                options={[
+                    { value: 'none', label: 'Nothing (start empty)' },
+                    ...budgetVersions.map(v => ({ value: v.id, label: v.name }))
+                ]}
+            />
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                <Button label="Create Version" type="submit" variant="primary" saving={isSaving} />
             </div>
-        </div>
+        </form>
     );
-}
+};
 
-// --- Income Form ---
-const IncomeForm = ({ initialData, customers, suppliers, onSave, onClose }) => {
+
+// --- Income Type Form ---
+const IncomeTypeForm = ({ initialData, incomeTypes, onSave, onClose }) => {
     const [formData, setFormData] = useState(
         initialData || {
-            incomeType: 'Procurement Income',
-            partnerId: '',
-            value: '',
-            agreementStartDate: '',
-            agreementEndDate: '',
-            invoiceStatus: 'pending'
+            name: '',
+            colour: '#6366f1',
+            partnerType: 'customer',
+            active: true
         }
     );
-    
-    // Determine which partner list to show
-    const relevantPartners = formData.incomeType === 'Procurement Income' ? suppliers : customers;
+    const [formError, setFormError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
 
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
     };
-    
-    // When income type changes, reset partnerId
-    useEffect(() => {
-        // Only reset if it's a new item, not if editing
-        if (!initialData) {
-            setFormData(prev => ({ ...prev, partnerId: '' }));
-        }
-    }, [formData.incomeType, initialData]);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        onSave(formData);
+        const name = formData.name.trim().replace(/\s+/g, ' ');
+        if (!formData.id) {
+            if (!name) {
+                setFormError('Enter a name.');
+                return;
+            }
+            if (name.length > 50) {
+                setFormError('Keep the name to 50 characters or fewer.');
+                return;
+            }
+            const existing = incomeTypes.find(t => getIncomeTypeNameKey(t.name) === getIncomeTypeNameKey(name));
+            if (existing) {
+                setFormError(`There is already an income type called "${existing.name}".`);
+                return;
+            }
+        }
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave({ ...formData, name });
+        } catch (error) {
+            setFormError(`The income type could not be saved. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
     };
 
     return (
         <form onSubmit={handleSubmit} className="space-y-4">
-            
-            <FormSelect
-                label="Income Type"
-                name="incomeType"
-                value={formData.incomeType}
+            {/* Entries and budgets store the type name, so it is fixed once saved */}
+            <FormInput
+                label="Name"
+                name="name"
+                value={formData.name}
                 onChange={handleChange}
-                options={[
-                    { value: 'Procurement Income', label: 'Procurement Income' },
-                    { value: 'Consultancy', label: 'Consultancy' }
-                ]}
+                placeholder="Training"
+                required
+                disabled={!!formData.id}
             />
-            
             <FormSelect
-                label={formData.incomeType === 'Procurement Income' ? 'Supplier' : 'Customer'}
-                name="partnerId"
-                value={formData.partnerId}
+                label="Earned Through"
+                name="partnerType"
+                value={formData.partnerType}
                 onChange={handleChange}
-                options={relevantPartners.map(p => ({ value: p.id, label: p.name }))}
-                placeholder="Select a partner"
-                required
+                options={PARTNER_TYPES.map(t => ({ value: t.value, label: `${t.label}s` }))}
             />
-            
             <FormInput
-                label="Value"
-                name="value"
-                type="number"
-                value={formData.value}
+                label="Chart Colour"
+                name="colour"
+                type="color"
+                value={formData.colour}
                 onChange={handleChange}
-                placeholder="5000"
-                required
             />
-            
-             <FormSelect
-                label="Invoice Status"
-                name="invoiceStatus"
-                value={formData.invoiceStatus}
-                onChange={handleChange}
+            <FormSelect
+                label="Status"
+                name="active"
+                value={formData.active === false ? 'inactive' : 'active'}
+                onChange={(e) => setFormData(prev => ({ ...prev, active: e.target.value === 'active' }))}
                 options={[
-                    { value: 'pending', label: 'Pending' },
-                    { value: 'sent', label: 'Sent' },
-                    { value: 'paid', label: 'Paid' },
-                    { value: 'overdue', label: 'Overdue' }
+                    { value: 'active', label: 'Active' },
+                    { value: 'inactive', label: 'Inactive' }
                 ]}
             />
-
-            <div className="grid grid-cols-2 gap-4">
-                <FormInput
-                    label="Agreement Start Date"
-                    name="agreementStartDate"
-                    type="date"
-                    value={formData.agreementStartDate}
-                    onChange={handleChange}
-                    required
-                />
-                <FormInput
-                    label="Agreement End Date"
-                    name="agreementEndDate"
-                    type="date"
-                    value={formData.agreementEndDate}
-                    onChange={handleChange}
-                />
-            </div>
-            
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
             <div className="flex justify-end space-x-3 pt-4">
                 <Button label="Cancel" onClick={onClose} variant="secondary" />
-                <Button label="Save Income" type="submit" variant="primary" />
+                <Button label="Save Type" type="submit" variant="primary" saving={isSaving} />
             </div>
         </form>
     );
 };
 
 
-// --- Partner Form ---
-const PartnerForm = ({ initialData, onSave, onClose }) => {
+// --- Confirm Dialog ---
+// Without an onConfirm it acts as a simple message box
+const ConfirmDialog = ({ message, confirmLabel = 'Confirm', onConfirm, onClose }) => {
+    const [isSaving, setIsSaving] = useState(false);
+
+    // The action reports its own errors (as a toast with Retry), so the dialog always closes
+    const handleConfirm = async () => {
+        setIsSaving(true);
+        await onConfirm();
+        onClose();
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="text-gray-700">{message}</p>
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label={onConfirm ? 'Cancel' : 'Close'} onClick={onClose} variant="secondary" />
+                {onConfirm && <Button label={confirmLabel} onClick={handleConfirm} variant="danger" saving={isSaving} />}
+            </div>
+        </div>
+    );
+};
+
+
+// --- Opportunity Form ---
+const OpportunityForm = ({ initialData, incomeTypes, customers, baseCurrency, onSave, onClose }) => {
+    const typeOptions = incomeTypes
+        .filter(t => t.active !== false || t.name === initialData?.incomeType)
+        .map(t => ({ value: t.name, label: t.name }));
     const [formData, setFormData] = useState(
         initialData || {
-            type: 'customer',
             name: '',
-            contactName: '',
-            contactEmail: '',
-            contactPhone: ''
+            partnerId: '',
+            incomeType: typeOptions[0]?.value || '',
+            value: '',
+            currency: baseCurrency,
+            stage: 'lead',
+            probability: OPPORTUNITY_STAGES[0].probability,
+            expectedCloseMonth: todayKey().substring(0, 7),
+            notes: ''
         }
     );
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
 
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
-    const handleSubmit = (e) => {
+    // Moving stage resets the probability to that stage's default; it can still be overridden
+    const handleStageChange = (e) => {
+        const stage = OPPORTUNITY_STAGES.find(s => s.value === e.target.value);
+        setFormData(prev => ({ ...prev, stage: stage.value, probability: stage.probability }));
+    };
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        onSave(formData);
+        const probability = parseFloat(formData.probability);
+        if (!(probability >= 0 && probability <= 100)) {
+            setFormError('Probability must be between 0 and 100.');
+            return;
+        }
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSave({ ...formData, value: parseFloat(formData.value) || 0, probability });
+        } catch (error) {
+            setFormError(`The opportunity could not be saved. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
     };
 
     return (
         <form onSubmit={handleSubmit} className="space-y-4">
-            
-            <FormSelect
-                label="Partner Type"
-                name="type"
-                value={formData.type}
-                onChange={handleChange}
-                options={[
-                    { value: 'customer', label: 'Customer' },
-                    { value: 'supplier', label: 'Supplier' }
-                ]}
-            />
-            
             <FormInput
-                label="Company Name"
+                label="Opportunity"
                 name="name"
                 value={formData.name}
                 onChange={handleChange}
-                placeholder="Acme Corp"
+                placeholder="2025 sponsorship renewal"
                 required
             />
-            
-             <FormInput
-                label="Contact Name"
-                name="contactName"
-                value={formData.contactName}
+            <FormSelect
+                label="Customer"
+                name="partnerId"
+                value={formData.partnerId}
                 onChange={handleChange}
-                placeholder="Jane Doe"
+                options={customers.map(p => ({ value: p.id, label: p.name }))}
+                placeholder="Select a customer"
+                required
             />
-            
-             <FormInput
-                label="Contact Email"
-                name="contactEmail"
-                type="email"
-                value={formData.contactEmail}
+            <FormSelect
+                label="Income Type"
+                name="incomeType"
+                value={formData.incomeType}
                 onChange={handleChange}
-                placeholder="jane.doe@acme.com"
+                options={typeOptions}
+                required
             />
-            
-             <FormInput
-                label="Contact Phone"
-                name="contactPhone"
-                type="tel"
-                value={formData.contactPhone}
+            <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                    <FormInput
+                        label="Value"
+                        name="value"
+                        type="number"
+                        value={formData.value}
+                        onChange={handleChange}
+                        placeholder="5000"
+                        required
+                    />
+                </div>
+                <FormSelect
+                    label="Currency"
+                    name="currency"
+                    value={getIncomeCurrency(formData)}
+                    onChange={handleChange}
+                    options={CURRENCIES.map(c => ({ value: c.value, label: c.value }))}
+                />
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+                {/* Won is set by converting the deal to income */}
+                <FormSelect
+                    label="Stage"
+                    name="stage"
+                    value={formData.stage}
+                    onChange={handleStageChange}
+                    options={OPPORTUNITY_STAGES.filter(s => s.value !== 'won')}
+                />
+                <FormInput
+                    label="Probability %"
+                    name="probability"
+                    type="number"
+                    value={formData.probability}
+                    onChange={handleChange}
+                    required
+                />
+                <FormInput
+                    label="Expected Close"
+                    name="expectedCloseMonth"
+                    type="month"
+                    value={formData.expectedCloseMonth}
+                    onChange={handleChange}
+                    required
+                />
+            </div>
+            <FormTextarea
+                label="Notes"
+                name="notes"
+                value={formData.notes || ''}
                 onChange={handleChange}
-                placeholder="+44 20 7946 0958"
+                placeholder="Next steps, decision makers, competition"
             />
-            
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                <Button label="Save Opportunity" type="submit" variant="primary" saving={isSaving} />
+            </div>
+        </form>
+    );
+};
+
+
+// --- Reject Income Form ---
+// The author sees the comment on the entry, so it should say what to fix
+const RejectIncomeForm = ({ income, onReject, onClose }) => {
+    const [comment, setComment] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!comment.trim()) {
+            setFormError('Give a reason, so the author knows what to fix.');
+            return;
+        }
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onReject(comment);
+        } catch (error) {
+            setFormError(`The entry could not be rejected. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-gray-700">
+                Send <span className="font-medium">{income.invoiceNumber || 'this entry'}</span> back to its author for correction.
+            </p>
+            <div>
+                <label htmlFor="rejectionComment" className="block text-sm font-medium text-gray-700 mb-1">Reason *</label>
+                <textarea
+                    id="rejectionComment"
+                    name="rejectionComment"
+                    rows={4}
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    placeholder="e.g. The value doesn't match the signed agreement"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+            </div>
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
             <div className="flex justify-end space-x-3 pt-4">
                 <Button label="Cancel" onClick={onClose} variant="secondary" />
-                <Button label="Save Partner" type="submit" variant="primary" />
+                <Button label="Reject" type="submit" variant="danger" saving={isSaving} />
             </div>
         </form>
     );
 };
 
 
+// --- Reassign Partner Form ---
+const ReassignPartnerForm = ({ partner, linkedCount, targets, onReassign, onDeactivate, onClose }) => {
+    const [targetId, setTargetId] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    const run = async (action) => {
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await action();
+        } catch (error) {
+            setFormError(`The partner could not be updated. ${getErrorMessage(error)}`);
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="text-gray-700">
+                <span className="font-medium">{partner.name}</span> is linked to {linkedCount} income {linkedCount === 1 ? 'entry' : 'entries'}.
+                Reassign {linkedCount === 1 ? 'it' : 'them'} to another {partner.type} and delete this partner, or mark
+                it inactive so it stays in history but can't be picked for new income.
+            </p>
+            <FormSelect
+                label="Reassign income to"
+                name="targetPartnerId"
+                value={targetId}
+                onChange={(e) => setTargetId(e.target.value)}
+                options={targets.map(p => ({ value: p.id, label: p.name }))}
+                placeholder="Select a partner"
+            />
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+            <div className="flex justify-end space-x-3 pt-4">
+                <Button label="Cancel" onClick={onClose} variant="secondary" />
+                {partner.active !== false && <Button label="Mark Inactive" onClick={() => run(onDeactivate)} variant="secondary" disabled={isSaving} />}
+                <Button label="Reassign & Delete" onClick={() => run(() => onReassign(targetId))} variant="danger" disabled={!targetId} saving={isSaving} />
+            </div>
+        </div>
+    );
+};
+
+
+// --- History Panel ---
+// Timeline of audit log entries for a single income entry or partner
+const HistoryPanel = ({ auditLog, entityType, entityId, partners }) => {
+    const [entries, setEntries] = useState(null);
+
+    useEffect(() => {
+        // Sorted client-side to avoid needing a composite index
+        const historyQuery = query(auditLog, where('entityType', '==', entityType), where('entityId', '==', entityId));
+        const unsubscribe = onSnapshot(historyQuery, (snapshot) => {
+            const data = snapshot.docs
+                .map(doc => {
+                    const entry = doc.data({ serverTimestamps: 'estimate' });
+                    return { id: doc.id, ...entry, timestamp: getAuditTimestamp(entry) };
+                })
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+            setEntries(data);
+        }, (error) => console.error("Error listening to history:", error));
+        return () => unsubscribe();
+    }, [auditLog, entityType, entityId]);
+
+    const actionStyles = {
+        create: 'bg-blue-100 text-blue-800',
+        update: 'bg-yellow-100 text-yellow-800',
+        validate: 'bg-green-100 text-green-800',
+        submit: 'bg-yellow-100 text-yellow-800',
+        approve: 'bg-blue-100 text-blue-800',
+        reject: 'bg-red-100 text-red-800',
+        reopen: 'bg-gray-100 text-gray-800',
+        delete: 'bg-red-100 text-red-800',
+        restore: 'bg-green-100 text-green-800',
+        purge: 'bg-red-100 text-red-800',
+    };
+
+    const formatValue = (field, value) => {
+        if (value === null || value === '') return '—';
+        if (field === 'partnerId') return partners.find(p => p.id === value)?.name || value;
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    if (!entries) {
+        return <p className="text-sm text-gray-500">Loading history...</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-500">No history recorded yet.</p>;
+    }
+
+    return (
+        <ol className="space-y-4">
+            {entries.map(entry => (
+                <li key={entry.id} className="border-l-2 border-gray-200 pl-4">
+                    <div className="flex items-center justify-between">
+                        <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${actionStyles[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                            {entry.action}
+                        </span>
+                        <span className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</span>
+                    </div>
+                    <div className="text-sm text-gray-700 mt-1">{entry.userEmail || entry.userId}</div>
+                    {entry.action !== 'purge' && entry.changes?.length > 0 && (
+                        <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                            {entry.changes.map(change => (
+                                <li key={change.field}>
+                                    <span className="font-medium">{change.field}:</span>{' '}
+                                    <span className="line-through text-gray-400">{formatValue(change.field, change.before)}</span>
+                                    {' → '}
+                                    <span>{formatValue(change.field, change.after)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+
 // --- Form Field Components ---
-const FormInput = ({ label, name, type = 'text', value, onChange, placeholder = '', required = false }) => (
+const FormInput = ({ label, name, type = 'text', value, onChange, placeholder = '', required = false, disabled = false }) => (
     <div>
         <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
             {label} {required && '*'}
@@ -1109,12 +6857,32 @@ const FormInput = ({ label, name, type = 'text', value, onChange, placeholder =
             onChange={onChange}
             placeholder={placeholder}
             required={required}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            disabled={disabled}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+        />
+    </div>
+);
+
+const FormTextarea = ({ label, name, value, onChange, placeholder = '', rows = 3, required = false, disabled = false }) => (
+    <div>
+        <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+            {label} {required && '*'}
+        </label>
+        <textarea
+            name={name}
+            id={name}
+            rows={rows}
+            value={value}
+            onChange={onChange}
+            placeholder={placeholder}
+            required={required}
+            disabled={disabled}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
         />
     </div>
 );
 
-const FormSelect = ({ label, name, value, onChange, options, placeholder = 'Select...', required = false }) => (
+const FormSelect = ({ label, name, value, onChange, options, placeholder = 'Select...', required = false, disabled = false }) => (
      <div>
         <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
             {label} {required && '*'}
@@ -1125,7 +6893,8 @@ const FormSelect = ({ label, name, value, onChange, options, placeholder = 'Sele
             value={value}
             onChange={onChange}
             required={required}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            disabled={disabled}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
         >
             <option value="" disabled>{placeholder}</option>
             {options.map(opt => (